@@ -0,0 +1,117 @@
+/**
+ * Reading and writing CSV files (RFC 4180), for worksheets and spreadsheet-authored quizzes.
+ * Fields may be quoted, with "" for a quote inside a quoted field, and quoted fields may span lines.
+ */
+
+/** @type {Array<string>} Delimiters recognized when reading, in order of preference */
+const DELIMITERS = [',', ';', '\t'];
+
+/** @type {string} Byte order mark that spreadsheet apps use to recognize UTF-8 files */
+const BYTE_ORDER_MARK = '\uFEFF';
+
+/**
+ * @type {RegExp} Fields that get a leading ' on export: ones that spreadsheet apps would run as a
+ * formula (a leading =, +, -, @, tab or carriage return), and ones that already start with quotes
+ * before such a character, so the ' removed on import is always the one that was added
+ */
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/** @type {RegExp} The ' that toCsv puts before a formula-like field */
+const FORMULA_QUOTE_PATTERN = /^'(?='*[=+\-@\t\r])/;
+
+/**
+ * Splits CSV text into rows of fields. The delimiter is the comma, semicolon or tab found most
+ * often in the first line, since spreadsheet apps in some languages save with semicolons.
+ * Rows whose fields are all empty are skipped, and the quote toCsv puts before formula-like fields
+ * is removed again.
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} The rows, the header row first
+ */
+export function parseCsv(text) {
+    const source = text.startsWith(BYTE_ORDER_MARK) ? text.slice(1) : text;
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') index++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows
+        .filter(fields => fields.some(value => value.trim() !== ''))
+        .map(fields => fields.map(value => value.replace(FORMULA_QUOTE_PATTERN, '')));
+}
+
+/**
+ * Joins rows of fields into CSV text with commas and CRLF line endings. Fields with a comma,
+ * quote, line break or surrounding spaces are quoted, and fields a spreadsheet app would run as a
+ * formula, such as "=1+1", get a leading ' so they show as text. Starts with a byte order mark so
+ * spreadsheet apps read the text as UTF-8.
+ * @param {Array<Array<string>>} rows - The rows, the header row first
+ * @returns {string} The CSV text
+ */
+export function toCsv(rows) {
+    return BYTE_ORDER_MARK + rows
+        .map(fields => fields.map(quoteField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Picks the delimiter found most often, outside quotes, in the first line.
+ * @param {string} text - The CSV text
+ * @returns {string} The delimiter, a comma if none is found
+ */
+function detectDelimiter(text) {
+    const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+    let quoted = false;
+
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        if (!quoted && (char === '\n' || char === '\r')) break;
+        if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+
+    return DELIMITERS.reduce((best, delimiter) => (counts.get(delimiter) > counts.get(best) ? delimiter : best));
+}
+
+/**
+ * Neutralizes a formula-like field and quotes the field if it needs it.
+ * @param {string} value - The field
+ * @returns {string} The field as written to the CSV text
+ */
+function quoteField(value) {
+    const field = String(value ?? '');
+    const text = FORMULA_PATTERN.test(field) ? `'${field}` : field;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,92 @@
+/**
+ * Messaging between windows of the app for live sessions, where a presenter window runs a quiz and
+ * participant windows answer it. Messages go through a BroadcastChannel, or through localStorage
+ * "storage" events in browsers without one, so windows on the same origin talk without a server.
+ * Neither delivers a message back to the window that sent it.
+ */
+
+/** @type {string} Prefix of the channel names and of the localStorage keys used as a fallback */
+const CHANNEL_PREFIX = 'quiz-live-';
+
+/**
+ * @typedef {Object} LiveMessage
+ * A message of a live session. Presenters send 'lobby', 'question', 'reveal', 'end' and 'closed';
+ * participants send 'join', 'answer' and 'leave'. The other properties depend on the type.
+ * @property {string} type - The message type
+ */
+
+/**
+ * A channel shared by the windows of one live session. Received messages are dispatched as
+ * "message" CustomEvents with the LiveMessage as their detail.
+ */
+export class LiveChannel extends EventTarget {
+    /**
+     * Opens the channel of a session.
+     * @param {string} code - The session code; windows with the same code share the channel
+     */
+    constructor(code) {
+        super();
+
+        /** @type {string} Name of the BroadcastChannel, also the localStorage key of the fallback */
+        this.name = CHANNEL_PREFIX + code;
+
+        /** @type {BroadcastChannel|null} The channel, or null when storage events are used */
+        this.channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(this.name) : null;
+
+        /** @type {function(Event): void} Listener for messages from the other windows */
+        this.handleMessage = (e) => {
+            if (this.channel) {
+                this.receive(e.data);
+            } else if (e.key === this.name && e.newValue) {
+                this.receive(JSON.parse(e.newValue).message);
+            }
+        };
+
+        if (this.channel) {
+            this.channel.addEventListener('message', this.handleMessage);
+        } else {
+            window.addEventListener('storage', this.handleMessage);
+        }
+    }
+
+    /**
+     * Sends a message to the other windows of the session.
+     * @param {LiveMessage} message - The message
+     */
+    post(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+
+        // A storage event only fires when the value changes, so every message gets a unique stamp
+        try {
+            localStorage.setItem(this.name, JSON.stringify({ message, sentAt: `${Date.now()}-${Math.random()}` }));
+            localStorage.removeItem(this.name);
+        } catch (error) {
+            console.error('Failed to send live session message:', error);
+        }
+    }
+
+    /**
+     * Dispatches a received message, ignoring anything that is not a message object.
+     * @param {*} message - The received data
+     */
+    receive(message) {
+        if (!message || typeof message !== 'object' || typeof message.type !== 'string') return;
+
+        this.dispatchEvent(new CustomEvent('message', { detail: message }));
+    }
+
+    /**
+     * Stops sending and receiving messages.
+     */
+    close() {
+        if (this.channel) {
+            this.channel.removeEventListener('message', this.handleMessage);
+            this.channel.close();
+        } else {
+            window.removeEventListener('storage', this.handleMessage);
+        }
+    }
+}
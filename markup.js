@@ -0,0 +1,281 @@
+/**
+ * Limited markup for question and option text.
+ * Supports fenced code blocks (```html, ```css or ```js on their own line), `inline code` and
+ * **bold**, and highlights the code blocks locally. The result is built from DOM nodes whose text is
+ * set with textContent, never parsed as HTML, so quiz text cannot inject elements or scripts.
+ * Texts can also be converted to escaped Markdown for exports.
+ */
+
+/** @type {RegExp} A fenced code block: ``` and an optional language, the code lines, then ``` on a line of its own */
+const FENCE_PATTERN = /^```[ \t]*([\w-]*)[ \t]*\r?\n([\s\S]*?)\r?\n```[ \t]*$/gm;
+
+/** @type {RegExp} Inline code (`code`) or bold text (**text**) within one line */
+const INLINE_PATTERN = /`([^`\n]+)`|\*\*([^*\n]+)\*\*/g;
+
+/** @type {Object<string, string>} Highlighted language of each name allowed after ``` */
+const LANGUAGE_ALIASES = {
+    html: 'html',
+    xml: 'html',
+    svg: 'html',
+    css: 'css',
+    js: 'javascript',
+    javascript: 'javascript'
+};
+
+/** @type {RegExp} Single-, double- or back-quoted strings; an unclosed string runs to the end of the line */
+const STRING_PATTERN = /(["'])(?:\\.|(?!\1)[^\\\n])*\1?|`(?:\\[\s\S]|[^\\`])*`?/y;
+
+/**
+ * @typedef {Object} TokenRule
+ * A kind of token the highlighter recognizes. Rules are tried in order at each position.
+ * @property {string|null} type - Class added to the token's span, or null for plain text
+ * @property {RegExp} pattern - Sticky pattern matching the token at the current position
+ * @property {string} [next] - State to switch to after the token
+ */
+
+/** @type {Object<string, Object<string, Array<TokenRule>>>} Token rules of each language, by state; every language starts in "main" */
+const GRAMMARS = {
+    javascript: {
+        main: [
+            { type: 'comment', pattern: /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y },
+            { type: 'string', pattern: STRING_PATTERN },
+            { type: 'keyword', pattern: /\b(?:async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|false|finally|for|from|function|if|import|in|instanceof|let|new|null|of|return|static|super|switch|this|throw|true|try|typeof|undefined|var|void|while|yield)\b/y },
+            { type: 'number', pattern: /\b(?:0[xob][\da-f_]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?n?)\b/iy },
+            { type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/y },
+            { type: null, pattern: /[A-Za-z_$][\w$]*/y },
+            { type: 'operator', pattern: /[=+\-*/%<>!&|^~?:]+/y },
+            { type: 'punctuation', pattern: /[{}()[\];,.]/y }
+        ]
+    },
+    css: {
+        main: [
+            { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/y },
+            { type: 'string', pattern: STRING_PATTERN },
+            { type: 'at-rule', pattern: /@[\w-]+/y },
+            // Selectors run up to the next "{"; declarations never contain one
+            { type: 'selector', pattern: /[^\s{};@/"'(][^{};/"']*?(?=\s*\{)/y },
+            { type: 'property', pattern: /--?[\w-]+(?=\s*:)|[a-z][\w-]*(?=\s*:)/iy },
+            { type: 'keyword', pattern: /!important\b/y },
+            { type: 'number', pattern: /#[\da-f]{3,8}\b|-?(?:\d*\.)?\d+(?:%|[a-z]+\b)?/iy },
+            { type: 'function', pattern: /[\w-]+(?=\()/y },
+            { type: null, pattern: /[\w-]+/y },
+            { type: 'punctuation', pattern: /\(/y, next: 'parentheses' },
+            { type: 'punctuation', pattern: /[{}:;,)]/y }
+        ],
+        // Media features and function arguments, which hold no selectors
+        parentheses: [
+            { type: 'string', pattern: STRING_PATTERN },
+            { type: 'property', pattern: /[a-z][\w-]*(?=\s*:)/iy },
+            { type: 'number', pattern: /#[\da-f]{3,8}\b|-?(?:\d*\.)?\d+(?:%|[a-z]+\b)?/iy },
+            { type: null, pattern: /[\w-]+/y },
+            { type: 'punctuation', pattern: /\)/y, next: 'main' },
+            { type: 'punctuation', pattern: /[:,]/y }
+        ]
+    },
+    html: {
+        main: [
+            { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/y },
+            { type: 'keyword', pattern: /<![^>]*>?/y },
+            { type: 'tag', pattern: /<\/?[a-z][\w:-]*/iy, next: 'tag' },
+            { type: 'entity', pattern: /&(?:#x?[\da-f]+|\w+);/iy },
+            { type: null, pattern: /[^<&]+/y }
+        ],
+        tag: [
+            { type: 'tag', pattern: /\/?>/y, next: 'main' },
+            { type: 'string', pattern: /"[^"]*"?|'[^']*'?/y },
+            { type: 'punctuation', pattern: /=/y },
+            { type: 'attr-name', pattern: /[^\s=>/"']+/y }
+        ]
+    }
+};
+
+/**
+ * Builds the DOM for a question or option text.
+ * @param {string} text - The text, with optional markup
+ * @returns {DocumentFragment} The text as nodes, ready to append
+ */
+export function renderMarkup(text) {
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(FENCE_PATTERN)) {
+        appendInline(fragment, trimNewlines(text.slice(lastIndex, match.index)));
+        fragment.appendChild(createCodeBlock(match[2], match[1]));
+        lastIndex = match.index + match[0].length;
+    }
+    appendInline(fragment, trimNewlines(text.slice(lastIndex)));
+
+    return fragment;
+}
+
+/**
+ * Removes the markup from a text, for labels, announcements and other places that only take plain text.
+ * Code blocks keep their code and line breaks.
+ * @param {string} text - The text, with optional markup
+ * @returns {string} The text without markup
+ */
+export function toPlainText(text) {
+    return text
+        .replace(FENCE_PATTERN, (match, language, code) => code)
+        .replace(INLINE_PATTERN, (match, code, bold) => code ?? bold);
+}
+
+/**
+ * Converts a text to Markdown that renders the way renderMarkup shows it. Code blocks and inline
+ * code are kept as they are, and everything else is escaped, so text such as "<body>" or "*" shows
+ * up literally instead of being read as HTML or Markdown.
+ * @param {string} text - The text, with optional markup
+ * @returns {string} The text as Markdown
+ */
+export function toMarkdown(text) {
+    const parts = [];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(FENCE_PATTERN)) {
+        parts.push(inlineToMarkdown(trimNewlines(text.slice(lastIndex, match.index))), match[0]);
+        lastIndex = match.index + match[0].length;
+    }
+    parts.push(inlineToMarkdown(trimNewlines(text.slice(lastIndex))));
+
+    return parts.filter(part => part !== '').join('\n');
+}
+
+/**
+ * Escapes plain text for Markdown: backslash escapes for Markdown punctuation and for list, heading
+ * and quote markers at the start of a line, and entities for "&" and "<".
+ * @param {string} text - The plain text
+ * @returns {string} The escaped text
+ */
+export function escapeMarkdown(text) {
+    return text
+        .replace(/[\\`*_[\]~|]/g, '\\$&')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/^(\s*)([#>+=-])/gm, '$1\\$2')
+        .replace(/^(\s*\d+)([.)])/gm, '$1\\$2');
+}
+
+/**
+ * Converts text without code blocks to Markdown, keeping inline code and bold and turning line
+ * breaks into hard line breaks.
+ * @param {string} text - The text, without code blocks
+ * @returns {string} The text as Markdown
+ */
+function inlineToMarkdown(text) {
+    return text.split(/\r?\n/).map(line => {
+        let markdown = '';
+        let lastIndex = 0;
+        for (const match of line.matchAll(INLINE_PATTERN)) {
+            markdown += escapeMarkdown(line.slice(lastIndex, match.index));
+            markdown += match[1] !== undefined ? match[0] : `**${escapeMarkdown(match[2])}**`;
+            lastIndex = match.index + match[0].length;
+        }
+        return markdown + escapeMarkdown(line.slice(lastIndex));
+    }).join('\\\n');
+}
+
+/**
+ * Removes the line break that separates a text from a neighbouring code block.
+ * @param {string} text - The text between code blocks
+ * @returns {string} The text without a leading or trailing line break
+ */
+function trimNewlines(text) {
+    return text.replace(/^\r?\n|\r?\n$/g, '');
+}
+
+/**
+ * Appends text with inline code and bold, turning line breaks into <br> elements.
+ * @param {Node} parent - The node to append to
+ * @param {string} text - The text, without code blocks
+ */
+function appendInline(parent, text) {
+    text.split(/\r?\n/).forEach((line, lineIndex) => {
+        if (lineIndex > 0) parent.appendChild(document.createElement('br'));
+
+        let lastIndex = 0;
+        for (const match of line.matchAll(INLINE_PATTERN)) {
+            parent.append(line.slice(lastIndex, match.index));
+
+            const element = document.createElement(match[1] !== undefined ? 'code' : 'strong');
+            if (match[1] !== undefined) element.className = 'inline-code';
+            element.textContent = match[1] ?? match[2];
+            parent.appendChild(element);
+            lastIndex = match.index + match[0].length;
+        }
+        parent.append(line.slice(lastIndex));
+    });
+}
+
+/**
+ * Creates a <pre> element for a fenced code block, highlighted if its language is known.
+ * @param {string} code - The code
+ * @param {string} name - The language name after ```, or an empty string
+ * @returns {HTMLElement} The code block
+ */
+function createCodeBlock(code, name) {
+    const language = Object.hasOwn(LANGUAGE_ALIASES, name.toLowerCase()) ? LANGUAGE_ALIASES[name.toLowerCase()] : null;
+    const pre = document.createElement('pre');
+    pre.className = 'code-block';
+
+    const codeElement = document.createElement('code');
+    if (language) {
+        codeElement.className = `language-${language}`;
+        pre.dataset.language = language;
+        codeElement.appendChild(highlightCode(code, language));
+    } else {
+        codeElement.textContent = code;
+    }
+
+    pre.appendChild(codeElement);
+    return pre;
+}
+
+/**
+ * Splits code into tokens and wraps each one that has a type in a span with the classes
+ * "token <type>", e.g. "token keyword".
+ * @param {string} code - The code to highlight
+ * @param {string} language - A key of GRAMMARS
+ * @returns {DocumentFragment} The highlighted code
+ */
+function highlightCode(code, language) {
+    const grammar = GRAMMARS[language];
+    const fragment = document.createDocumentFragment();
+    let state = 'main';
+    let plain = '';
+    let index = 0;
+
+    while (index < code.length) {
+        let matched = null;
+        for (const rule of grammar[state]) {
+            rule.pattern.lastIndex = index;
+            const match = rule.pattern.exec(code);
+            if (match && match[0].length > 0) {
+                matched = { rule, text: match[0] };
+                break;
+            }
+        }
+
+        // Characters no rule knows, such as whitespace, stay plain
+        if (!matched || matched.rule.type === null) {
+            plain += matched ? matched.text : code[index];
+            index += matched ? matched.text.length : 1;
+            if (matched?.rule.next) state = matched.rule.next;
+            continue;
+        }
+
+        if (plain) {
+            fragment.append(plain);
+            plain = '';
+        }
+        const token = document.createElement('span');
+        token.className = `token ${matched.rule.type}`;
+        token.textContent = matched.text;
+        fragment.appendChild(token);
+
+        index += matched.text.length;
+        if (matched.rule.next) state = matched.rule.next;
+    }
+
+    if (plain) fragment.append(plain);
+    return fragment;
+}
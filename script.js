@@ -1,15 +1,82 @@
+import { renderMarkup, toPlainText, toMarkdown, escapeMarkdown } from './markup.js';
+import { parseCsv, toCsv } from './csv.js';
+import { LiveChannel } from './live.js';
+
 /**
  * @typedef {Object} Quiz
+ * @property {string} [id] - Stable ID the quiz's history and progress are saved under, the same in every
+ *     language (e.g. "html"); quizzes without one are saved under their title
  * @property {string} title - The title of the quiz (e.g., "HTML", "CSS")
  * @property {string} icon - The path to the quiz icon image
+ * @property {string} [color] - Background colour of the subject icon, as "#rrggbb"
  * @property {Array<Question>} questions - Array of questions for this quiz
  */
 
+/**
+ * @typedef {'system'|'light'|'dark'|'high-contrast'} ThemePreference
+ * The theme picked by the user. 'system' follows the operating system's colour scheme and contrast
+ * settings; the others are applied as they are.
+ */
+
+/**
+ * @typedef {'minimal'|'standard'|'verbose'} AnnouncementLevel
+ * How much is announced to screen readers. 'minimal' announces results, warnings and confirmations;
+ * 'standard' also confirms each option picked; 'verbose' also reads every question and its options
+ * when shown, and the correct answer after a wrong one.
+ */
+
+/**
+ * @typedef {Object} KeyBindings
+ * @property {'numbers'|'letters'} options - Whether 1-9 or A-I pick the answer options
+ * @property {string} submit - KeyboardEvent.key that submits an answer, moves on after feedback and
+ *     starts the next turn on the handover screen
+ * @property {string} exit - KeyboardEvent.key that leaves the quiz
+ */
+
+/**
+ * @typedef {Object} AccessibilitySettings
+ * @property {'normal'|'large'|'larger'} textSize - How large text is shown
+ * @property {boolean} reduceMotion - Whether animations and transitions are turned off, even when
+ *     the system does not ask for reduced motion
+ * @property {number} feedbackDelay - How long (ms) answer feedback is shown before moving on;
+ *     0 waits for the "Next" button
+ * @property {AnnouncementLevel} announcements - How much is announced to screen readers
+ * @property {KeyBindings} keys - Keyboard shortcuts on the quiz and handover screens
+ */
+
+/**
+ * @typedef {'single'|'multiple'|'boolean'|'text'} QuestionType
+ * 'single' has one correct option; 'multiple' has one or more correct options, all of which must be chosen;
+ * 'boolean' is a true/false question; 'text' is answered by typing a short free-text answer.
+ */
+
 /**
  * @typedef {Object} Question
+ * @property {string} [id] - Stable ID of the question, unique within its quiz and the same in every
+ *     language; questions without one are scheduled for practice under their text
  * @property {string} question - The question text
- * @property {Array<string>} options - Array of possible answer options
- * @property {string} answer - The correct answer from the options array
+ * @property {QuestionType} [type] - The question type, defaults to 'single'
+ * @property {Array<string>} [options] - Array of possible answer options; not used by 'text' questions
+ *     and defaults to ["True", "False"] for 'boolean' questions
+ * @property {string|Array<string>} answer - The correct answer from the options array; every correct
+ *     option for 'multiple' questions; the expected text for 'text' questions
+ * @property {Array<string>} [accept] - Other answers accepted for 'text' questions
+ * @property {string} [explanation] - Why the answer is correct, shown after the question is answered
+ * @property {Array<QuestionLink>} [links] - Further reading shown with the explanation
+ * @property {Difficulty} [difficulty] - How hard the question is, shown as a badge and used to filter custom quizzes
+ * @property {Array<string>} [tags] - Topics the question covers (e.g. "forms", "ARIA"), used to filter custom quizzes
+ * @property {string} [subject] - Key of the quiz the question came from (see getQuizKey); only set in practice
+ *     and custom sessions, which mix questions from several subjects
+ */
+
+/**
+ * @typedef {'easy'|'medium'|'hard'} Difficulty
+ */
+
+/**
+ * @typedef {Object} QuestionLink
+ * @property {string} title - The link text
+ * @property {string} url - An http(s) URL, or a path relative to the app
  */
 
 /**
@@ -17,19 +84,601 @@
  * @property {Array<Quiz>} quizzes - Array of available quizzes
  */
 
+/**
+ * @typedef {Object} WorksheetSettings
+ * @property {string} subject - Key of the quiz to print or export (see getQuizKey)
+ * @property {number} count - Number of questions on the worksheet
+ * @property {boolean} shuffleQuestions - Whether the questions are shuffled
+ * @property {boolean} shuffleOptions - Whether each question's options are shuffled
+ */
+
+/**
+ * @typedef {Object} CsvImport
+ * A CSV file read as quiz data.
+ * @property {QuizData} data - The quizzes, ready for validateQuizData()
+ * @property {Array<string>} errors - Problems that stop the file from being read, e.g. an unknown option letter
+ */
+
+/**
+ * @typedef {Object} AnswerRecord
+ * @property {string} [id] - The question's ID, if it has one
+ * @property {string} question - The question text
+ * @property {QuestionType} type - The question type
+ * @property {Array<string>} options - The options shown for the question
+ * @property {string|Array<string>|null} selected - The option(s) or text the user submitted, or null if time ran out
+ * @property {string|Array<string>} answer - The correct answer(s)
+ * @property {boolean} correct - Whether the submitted option was correct
+ * @property {number} timeTaken - Time spent on the question in milliseconds
+ * @property {string} [explanation] - The question's explanation, if it has one
+ * @property {Array<QuestionLink>} [links] - The question's reference links, if it has any
+ * @property {string} [subject] - Key of the quiz the question came from, in practice and custom sessions
+ * @property {Confidence|null} [confidence] - How sure the user said they were, in attempts with scoring;
+ *     null if time ran out
+ * @property {number} [points] - Points awarded for the answer, in attempts with scoring
+ */
+
+/**
+ * @typedef {'low'|'medium'|'high'} Confidence
+ * How sure the user is of an answer, rated before submitting it when scoring is on.
+ */
+
+/**
+ * @typedef {Object} ScoringTotals
+ * @property {number} points - Points so far
+ * @property {number} streak - Correct answers in a row up to the latest answer
+ * @property {number} longestStreak - Most correct answers in a row during the attempt
+ */
+
+/**
+ * @typedef {'turns'|'runs'} PlayerMode
+ * 'turns' passes the device after every question, so each player answers the same question in turn;
+ * 'runs' has each player answer the whole quiz before handing over.
+ */
+
+/**
+ * @typedef {Object} Player
+ * A player in a pass-and-play game.
+ * @property {string} name - The name entered on the start screen, or "Player <n>"
+ * @property {Array<AnswerRecord>} answers - The player's answers so far
+ */
+
+/**
+ * @typedef {Object} PlayerStanding
+ * @property {string} name - The player's name
+ * @property {number} rank - Place on the leaderboard, starting at 1; tied players share a place
+ * @property {number} score - Number of correct answers
+ * @property {number|null} points - Points scored, or null unless the game was played with scoring
+ * @property {number} timeTaken - Time the player spent answering in milliseconds
+ */
+
+/**
+ * @typedef {Object} LiveParticipant
+ * @property {string} id - Random ID of the participant's window
+ * @property {string} name - The name the participant joined with
+ * @property {Array<AnswerRecord>} answers - The participant's answers by question index, checked by the presenter
+ */
+
+/**
+ * @typedef {Object} LiveSession
+ * A live session, where a presenter window shows the questions and participant windows on the same
+ * origin answer them.
+ * @property {'host'|'participant'} role - Whether this window presents the quiz or answers it
+ * @property {string} code - The code participants enter to join
+ * @property {LiveChannel} channel - Channel to the other windows of the session
+ * @property {string} id - Random ID of this window
+ * @property {string|null} name - The participant's name, or null for the presenter
+ * @property {string|null} subject - Key of the quiz being presented (see getQuizKey)
+ * @property {Array<LiveParticipant>} participants - Everyone who joined; only the presenter has their answers
+ * @property {boolean} started - Whether the first question has been shown
+ * @property {boolean} revealed - Whether the answer to the current question has been revealed
+ * @property {{response: (string|Array<string>), timeTaken: number}|null} submitted - The participant's
+ *     answer to the current question, until it is revealed
+ * @property {Array<PlayerStanding>|null} standings - The final leaderboard, once the quiz is over
+ */
+
+/**
+ * @typedef {Object} TimeLimits
+ * @property {number|null} question - Seconds allowed per question, or null for no limit
+ * @property {number|null} total - Seconds allowed for the whole quiz, or null for no limit
+ */
+
+/**
+ * @typedef {Object} ShuffleSettings
+ * @property {boolean} questions - Whether question order is shuffled
+ * @property {boolean} options - Whether answer option order is shuffled
+ * @property {string|null} seed - Seed for the shuffle, or null to pick a random one per attempt
+ */
+
+/**
+ * @typedef {Object} QuizAttempt
+ * @property {string} subject - Key of the quiz that was played (see getQuizKey)
+ * @property {number} score - Number of correct answers
+ * @property {number} total - Number of questions in the attempt
+ * @property {number} startedAt - Timestamp (ms) when the attempt started
+ * @property {number} completedAt - Timestamp (ms) when the attempt finished
+ * @property {number} duration - Time spent answering in milliseconds
+ * @property {QuizMode} mode - How the attempt was played
+ * @property {TimeLimits} timeLimits - The time limits the attempt was played with
+ * @property {string|null} seed - The shuffle seed, or null if the attempt was not shuffled
+ * @property {boolean} [scoring] - Whether the attempt was played with points, streaks and confidence ratings
+ * @property {number} [points] - Points scored, in attempts with scoring
+ * @property {string} [profile] - ID of the profile that played the attempt; not set for guests
+ * @property {Array<AnswerRecord>} answers - Per-question answers for the attempt
+ */
+
+/**
+ * @typedef {Object} Profile
+ * A local player profile. Attempts finished while it is active are saved under its ID.
+ * @property {string} id - Unique ID, kept when profiles are exported and imported
+ * @property {string} name - The player's name
+ * @property {string} avatar - A key of PROFILE_AVATARS
+ * @property {number} createdAt - Timestamp (ms) when the profile was created
+ */
+
+/**
+ * @typedef {Object} ProfileRanking
+ * A profile's place on the leaderboard of one subject.
+ * @property {Profile} profile - The ranked profile
+ * @property {number} rank - Place, starting at 1; profiles with the same best score and time share a place
+ * @property {number} score - Correct answers in the best attempt
+ * @property {number} total - Number of questions in the best attempt
+ * @property {number} duration - Time of the fastest attempt with the best score, in milliseconds
+ * @property {number} attempts - Number of attempts that count
+ */
+
+/**
+ * @typedef {Object} ProfileExport
+ * The JSON file written by "Export profiles" and read by "Import profiles".
+ * @property {number} version - Format version, PROFILE_EXPORT_VERSION
+ * @property {Array<Profile>} profiles - The profiles
+ * @property {Array<QuizAttempt>} attempts - The profiles' finished attempts
+ */
+
+/**
+ * @typedef {'standard'|'retry'|'preview'|'linked'|'practice'|'custom'|'live'} QuizMode
+ * 'standard' plays a whole subject; 'retry' replays only the questions missed in the previous attempt;
+ * 'preview' plays the quiz editor draft without saving history or sessions; 'linked' plays a subject
+ * from the question a link points at, in the quiz's own order and likewise unsaved; 'practice' mixes questions
+ * from every subject that are due for review; 'custom' plays questions picked on the setup screen;
+ * 'live' presents a quiz to, or answers it in, a live session, without saving history or sessions.
+ */
+
+/**
+ * @typedef {Object} CustomQuizSettings
+ * @property {Array<string>} subjects - Keys of the quizzes to draw questions from (see getQuizKey)
+ * @property {Array<Difficulty>} difficulties - Difficulties to include; empty for any difficulty
+ * @property {Array<string>} tags - Tags to include, a question needs one of them; empty for any topic
+ * @property {number} count - Maximum number of questions in the session
+ */
+
+/**
+ * @typedef {Object} ReviewItem
+ * Spaced-repetition state of one question, following the SM-2 algorithm.
+ * @property {number} ease - Ease factor; the interval grows by this factor after each correct answer
+ * @property {number} interval - Days until the question is due again
+ * @property {number} repetitions - Correct answers in a row
+ * @property {number} due - Timestamp (ms) from which the question is due for practice
+ * @property {number} correct - Number of times the question was answered correctly
+ * @property {number} incorrect - Number of times the question was missed
+ */
+
+/**
+ * @typedef {Object} DraftQuestion
+ * @property {QuestionType} type - The question type
+ * @property {string} question - The question text
+ * @property {Array<string>} options - The answer options
+ * @property {Array<number>} correctIndexes - Indexes of the correct options
+ * @property {string} accepted - Accepted answers for 'text' questions, one per line
+ * @property {string} explanation - The explanation shown after answering
+ * @property {string} links - Reference links, one "Title | URL" pair per line
+ * @property {Difficulty|''} difficulty - The difficulty, or an empty string if not set
+ * @property {string} tags - Tags separated by commas
+ */
+
+/**
+ * @typedef {Object} QuizDraft
+ * @property {string} title - The quiz title
+ * @property {string} icon - The path or URL of the quiz icon
+ * @property {string} [color] - The colour of a copied quiz, kept as it is; empty or missing for none
+ * @property {Array<DraftQuestion>} questions - The questions being edited
+ */
+
+/**
+ * @typedef {Object} SubjectStats
+ * @property {number} attempts - Number of finished attempts
+ * @property {number} best - Best score as a percentage (0-100)
+ * @property {number} average - Average score as a percentage (0-100)
+ * @property {'up'|'down'|'flat'|null} trend - Latest attempt compared to the earlier average
+ * @property {Array<number>} recent - Percentages of the most recent attempts, oldest first
+ */
+
+/** @type {string} localStorage key for finished quiz attempts */
+const HISTORY_STORAGE_KEY = 'quiz-history';
+
+/**
+ * @typedef {Object} QuizSession
+ * @property {string} subject - Key of the quiz in progress (see getQuizKey)
+ * @property {QuizMode} mode - How the attempt is being played
+ * @property {Array<Question>} questions - Questions in play order, with options in the order shown
+ * @property {number} questionIndex - Index of the next unanswered question
+ * @property {number} score - Score so far
+ * @property {number} startedAt - Timestamp (ms) when the attempt started
+ * @property {TimeLimits} timeLimits - The time limits the attempt is played with
+ * @property {number|null} totalRemaining - Milliseconds left on the whole-quiz timer, or null if untimed
+ * @property {string|null} seed - The shuffle seed, or null if the attempt is not shuffled
+ * @property {boolean} [scoring] - Whether the attempt is played with points, streaks and confidence ratings
+ * @property {Array<AnswerRecord>} answers - Answers submitted so far
+ * @property {PlayerMode} [playerMode] - How a pass-and-play game hands over between players
+ * @property {Array<Player>} [players] - The players of a pass-and-play game, with their answers so far
+ */
+
+/**
+ * @typedef {Object} SharedResult
+ * A score opened from a share link, shown read-only on the results screen.
+ * @property {string} subject - Key of the quiz (see getQuizKey); links shared before quizzes had IDs hold its title
+ * @property {number} score - Number of correct answers
+ * @property {number} total - Number of questions
+ * @property {string} date - Day the quiz was finished, as YYYY-MM-DD
+ */
+
+/** @type {string} localStorage key for the in-progress quiz session */
+const SESSION_STORAGE_KEY = 'quiz-session';
+
+/** @type {string} Response header the service worker sets on quiz data served from its cache */
+const QUIZ_CACHE_HEADER = 'X-Quiz-Cache';
+
+/** @type {string} localStorage key for imported quiz packs */
+const PACKS_STORAGE_KEY = 'quiz-packs';
+
+/** @type {number} Maximum number of validation errors listed in an import error message */
+const MAX_REPORTED_ERRORS = 3;
+
+/** @type {string} localStorage key for the quiz editor draft */
+const DRAFT_STORAGE_KEY = 'quiz-draft';
+
+/** @type {string} localStorage key for the theme picked */
+const THEME_STORAGE_KEY = 'quiz-theme';
+
+/** @type {Array<ThemePreference>} Themes offered by the theme picker, in the order shown */
+const THEME_PREFERENCES = ['system', 'light', 'dark', 'high-contrast'];
+
+/** @type {string} localStorage key for the subject colours picked by the user */
+const SUBJECT_COLORS_STORAGE_KEY = 'quiz-subject-colors';
+
+/** @type {RegExp} A colour in the "#rrggbb" form colour inputs use */
+const COLOR_PATTERN = /^#[\da-f]{6}$/i;
+
+/** @type {Array<string>} Quiz CSV columns before the option columns, which are named A, B, C, ... */
+const CSV_LEADING_COLUMNS = ['quiz', 'icon', 'type', 'question'];
+
+/** @type {Array<string>} Quiz CSV columns after the option columns */
+const CSV_TRAILING_COLUMNS = ['answer', 'accept', 'explanation', 'links', 'difficulty', 'tags'];
+
+/** @type {string} Separates several values in one quiz CSV field, e.g. the letters of a 'multiple' answer */
+const CSV_LIST_SEPARATOR = ';';
+
+/** @type {string} localStorage key for the accessibility settings */
+const SETTINGS_STORAGE_KEY = 'quiz-accessibility';
+
+/** @type {Array<string>} Text sizes offered, from smallest to largest */
+const TEXT_SIZES = ['normal', 'large', 'larger'];
+
+/** @type {Array<AnnouncementLevel>} Announcement levels, from least to most said */
+const ANNOUNCEMENT_LEVELS = ['minimal', 'standard', 'verbose'];
+
+/** @type {Array<number>} Feedback delays (ms) offered; 0 waits for the "Next" button */
+const FEEDBACK_DELAYS = [0, 1000, 2000, 4000, 8000];
+
+/** @type {Array<string>} Keys that keep their usual job and cannot be used as shortcuts */
+const RESERVED_KEYS = ['Tab', 'Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'CapsLock', 'Dead', 'Unidentified'];
+
+/** @type {string} localStorage key for the chosen interface language */
+const LOCALE_STORAGE_KEY = 'quiz-locale';
+
+/** @type {string} Locale used when the browser's language is not supported, and for missing translations */
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * @typedef {Object} LocaleInfo
+ * @property {string} name - Name of the language in that language, shown in the language switcher
+ * @property {string} data - Path of the quizzes in that language, e.g. "./data.de.json"; QUIZ_DATA_URL is
+ *     played when the file can't be loaded
+ */
+
+/**
+ * @typedef {Object} QuizAppOptions
+ * @property {Document|HTMLElement} [root=document] - Element holding the app markup and its templates
+ * @property {string|QuizData|null} [data=null] - URL of the quiz data, or the data itself; by default
+ *     the data file of the interface language
+ * @property {boolean} [routing=true] - Whether screens get "#/..." URLs; turn off when the host page uses the hash
+ * @property {boolean} [serviceWorker=true] - Whether to register the service worker for offline use
+ */
+
+/** @type {QuizAppOptions} Options used for anything the page does not configure */
+const DEFAULT_OPTIONS = { root: document, data: null, routing: true, serviceWorker: true };
+
+/**
+ * Events dispatched on the QuizApp instance, each a CustomEvent whose detail is described here. subject
+ * is the quiz title; quizId and questionId are the IDs of the quiz and question, which stay the same in
+ * every language, or null if the quiz data gives none:
+ * - quizstart: {subject, quizId, mode, total, resumed, players} when an attempt starts or a saved one is resumed;
+ *     players lists the names in a pass-and-play game and is empty otherwise. Editor previews and
+ *     linked questions are not attempts and do not send it
+ * - questionchange: {subject, quizId, questionId, mode, index, total, question, player} when a question is shown
+ * - answer: {subject, quizId, questionId, mode, index, question, type, options, selected, answer, correct, timeTaken, confidence,
+ *     points, player} when a question is answered; confidence and points are null unless scoring is on,
+ *     and player is the name of the player answering in a pass-and-play game, or null
+ * - quizcomplete: {subject, quizId, mode, score, total, timeTaken, answers, players} when the last question is
+ *     answered or the quiz runs out of time; in a pass-and-play game players holds the PlayerStanding
+ *     of everyone, best first, and the other fields describe the last player to answer; in a live
+ *     session players holds the participants' standings
+ * - themechange: {theme, preference} when the theme picked or the system's colour scheme changes;
+ *   theme is 'light', 'dark' or 'high-contrast'
+ * - localechange: {locale} when the interface language is changed
+ * - profilechange: {profile} when another player profile is picked; profile is null for a guest
+ * @typedef {'quizstart'|'questionchange'|'answer'|'quizcomplete'|'themechange'|'localechange'|'profilechange'} QuizEventType
+ */
+
+/** @type {Object<string, LocaleInfo>} Supported interface languages, keyed by locale code */
+const SUPPORTED_LOCALES = {
+    en: { name: 'English', data: './data.json' },
+    de: { name: 'Deutsch', data: './data.de.json' },
+    es: { name: 'Español', data: './data.es.json' }
+};
+
+/** @type {string} URL of the quizzes played in languages whose own quiz data can't be loaded */
+const QUIZ_DATA_URL = './data.json';
+
+/** @type {string} localStorage key for the spaced-repetition schedule of answered questions */
+const REVIEW_STORAGE_KEY = 'quiz-review-schedule';
+
+/** @type {Quiz} Title and icon of practice sessions, whose questions come from every subject */
+const PRACTICE_QUIZ = { title: 'Practice', icon: './assets/images/icon-practice.svg', color: '#F6E5FF', questions: [] };
+
+/** @type {number} Maximum number of questions in a practice session */
+const PRACTICE_SESSION_SIZE = 10;
+
+/** @type {Quiz} Title and icon of custom sessions, whose questions are picked on the setup screen */
+const CUSTOM_QUIZ = { title: 'Custom', icon: './assets/images/icon-custom.svg', color: '#F6E5FF', questions: [] };
+
+/** @type {number} Number of questions in a custom session unless the setup screen asks for another */
+const CUSTOM_SESSION_SIZE = 10;
+
+/** @type {Array<Difficulty>} Supported difficulty levels, easiest first */
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+/** @type {Object<Difficulty, number>} Points for a correct answer by difficulty, before bonuses; unrated questions count as medium */
+const DIFFICULTY_POINTS = { easy: 100, medium: 150, hard: 200 };
+
+/** @type {number} Time (ms) over which the speed bonus runs out, for questions without a countdown */
+const SPEED_BONUS_WINDOW = 20000;
+
+/** @type {number} Speed bonus for an instant answer, as a share of the question's points */
+const MAX_SPEED_BONUS = 0.5;
+
+/** @type {number} Extra share of points for each correct answer in a row after the first */
+const STREAK_BONUS = 0.1;
+
+/** @type {number} Largest streak multiplier */
+const MAX_STREAK_MULTIPLIER = 2;
+
+/**
+ * @type {Object<Confidence, {correct: number, incorrect: number}>} Multipliers of a question's points by
+ * confidence, following confidence-based marking (1/0, 2/-2, 3/-6, halved): a confident wrong answer
+ * costs more than a confident right one earns, so rating honestly scores best
+ */
+const CONFIDENCE_WEIGHTS = {
+    low: { correct: 0.5, incorrect: 0 },
+    medium: { correct: 1, incorrect: -1 },
+    high: { correct: 1.5, incorrect: -3 }
+};
+
+/**
+ * @type {Object<Confidence, {min: number, max: number}>} Share of correct answers for which each confidence
+ * level scores best under CONFIDENCE_WEIGHTS; accuracy outside it means the level was over- or underused
+ */
+const CONFIDENCE_BANDS = {
+    low: { min: 0, max: 2 / 3 },
+    medium: { min: 2 / 3, max: 0.8 },
+    high: { min: 0.8, max: 1 }
+};
+
+/** @type {number} Fewest players in a pass-and-play game */
+const MIN_PLAYERS = 2;
+
+/** @type {number} Most players in a pass-and-play game */
+const MAX_PLAYERS = 6;
+
+/** @type {number} Maximum length of a player or profile name */
+const MAX_PLAYER_NAME_LENGTH = 20;
+
+/** @type {string} Characters of live session codes, without ones easily mistaken for others such as O and 0 */
+const LIVE_CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/** @type {number} Length of a live session code */
+const LIVE_CODE_LENGTH = 4;
+
+/** @type {string} localStorage key for the player profiles */
+const PROFILES_STORAGE_KEY = 'quiz-profiles';
+
+/** @type {string} localStorage key for the ID of the profile playing, absent for a guest */
+const ACTIVE_PROFILE_STORAGE_KEY = 'quiz-active-profile';
+
+/** @type {Object<string, string>} Avatars a profile can pick, keyed by the name used in messages and exports */
+const PROFILE_AVATARS = {
+    fox: '🦊',
+    owl: '🦉',
+    panda: '🐼',
+    octopus: '🐙',
+    turtle: '🐢',
+    rocket: '🚀',
+    cactus: '🌵',
+    guitar: '🎸'
+};
+
+/** @type {number} Version written to profile exports */
+const PROFILE_EXPORT_VERSION = 1;
+
+/** @type {number} Review interval (days) from which a question counts as mastered */
+const MASTERED_INTERVAL = 21;
+
+/** @type {number} Starting SM-2 ease factor for a question */
+const INITIAL_EASE = 2.5;
+
+/** @type {number} Lowest SM-2 ease factor, so missed questions still get longer intervals eventually */
+const MIN_EASE = 1.3;
+
+/** @type {number} Milliseconds in a day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @type {number} Width (px) of the downloadable score card image */
+const SCORE_CARD_WIDTH = 1200;
+
+/** @type {number} Height (px) of the downloadable score card image */
+const SCORE_CARD_HEIGHT = 630;
+
+/** @type {Array<QuestionType>} Supported question types */
+const QUESTION_TYPES = ['single', 'multiple', 'boolean', 'text'];
+
+/** @type {Array<string>} Options used by 'boolean' questions that do not list their own */
+const BOOLEAN_OPTIONS = ['True', 'False'];
+
+/** @type {number} Minimum number of options per question */
+const MIN_OPTIONS = 2;
+
+/** @type {number} Maximum number of options per question, so each one has a number key (1-9) */
+const MAX_OPTIONS = 9;
+
+/** @type {number} Maximum number of attempts kept in history */
+const MAX_HISTORY_ENTRIES = 200;
+
+/** @type {number} Number of recent attempts shown in the subject card sparkline */
+const RECENT_ATTEMPTS_SHOWN = 10;
+
+/** @type {number} Delay (ms) before advancing to the next question after feedback is shown, unless the settings pick another */
+const FEEDBACK_DELAY = 2000;
+
+/** @type {AccessibilitySettings} Settings used until the user changes them */
+const DEFAULT_SETTINGS = {
+    textSize: 'normal',
+    reduceMotion: false,
+    feedbackDelay: FEEDBACK_DELAY,
+    announcements: 'standard',
+    keys: { options: 'numbers', submit: 'Enter', exit: 'Escape' }
+};
+
+/** @type {number} Interval (ms) between countdown updates in timed mode */
+const TIMER_TICK = 250;
+
+/** @type {number} Remaining time (ms) at which a countdown is highlighted and announced */
+const TIMER_WARNING_THRESHOLD = 5000;
+
+/**
+ * Hashes a seed string into a 32-bit unsigned integer (FNV-1a).
+ * @param {string} seed - The seed to hash
+ * @returns {number} The hash
+ */
+export function hashSeed(seed) {
+    let hash = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence, in every browser.
+ * @param {string} seed - The seed for the generator
+ * @returns {function(): number} A function returning numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Returns a shuffled copy of an array using the Fisher-Yates algorithm.
+ * @template T
+ * @param {Array<T>} items - The items to shuffle
+ * @param {function(): number} random - Random number generator returning numbers in [0, 1)
+ * @returns {Array<T>} A new array with the items in shuffled order
+ */
+function shuffleArray(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
 /**
  * Quiz App State Management
  * Main class that handles the quiz application logic, state management, and UI interactions.
+ * Host pages can listen for its QuizEventType events with addEventListener.
  */
-class QuizApp {
+export class QuizApp extends EventTarget {
     /**
      * Creates a new QuizApp instance and initializes the application.
      * @constructor
+     * @param {QuizAppOptions} [options={}] - Where the app lives and where its quizzes come from
      */
-    constructor() {
-        /** @type {Array<Quiz>} Available quizzes loaded from data.json */
+    constructor(options = {}) {
+        super();
+        
+        /** @type {QuizAppOptions} Options given by the page, over the defaults */
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        
+        /** @type {Document|HTMLElement} Element holding the app markup; every element lookup is scoped to it */
+        this.root = this.options.root;
+        
+        /** @type {HTMLElement} Element that carries the data-theme and lang attributes */
+        this.hostElement = this.root === document ? document.documentElement : this.root;
+        
+        /** @type {Array<{target: EventTarget, type: string, handler: Function}>} Listeners outside the root, removed by destroy() */
+        this.globalListeners = [];
+        
+        /** @type {boolean} Whether destroy() has been called; a startup still loading then stops where it is */
+        this.destroyed = false;
+        
+        /** @type {Array<Quiz>} Available quizzes: built-in followed by imported */
         this.quizzes = [];
         
+        /** @type {Array<Quiz>} Built-in quizzes loaded from the data source */
+        this.builtInQuizzes = [];
+        
+        /** @type {string|null} URL the built-in quizzes were fetched from, or null if the page passed the data itself */
+        this.dataUrl = null;
+        
+        /** @type {Array<Quiz>} Quizzes imported from quiz packs and saved in localStorage */
+        this.importedQuizzes = [];
+        
+        /** @type {boolean} Whether the built-in quizzes were loaded from the service worker cache */
+        this.usingCachedData = false;
+        
+        /** @type {boolean} Whether the service worker could not reach the network to refresh the quizzes */
+        this.networkUnavailable = false;
+        
+        /** @type {boolean} Whether newer quiz data was cached after the page loaded */
+        this.quizDataUpdated = false;
+        
+        /** @type {string} Interface language, a key of SUPPORTED_LOCALES */
+        this.locale = DEFAULT_LOCALE;
+        
+        /** @type {Object} Message catalog of the interface language */
+        this.messages = {};
+        
+        /** @type {Object} Message catalog of the default locale, used for messages missing from this.messages */
+        this.fallbackMessages = {};
+        
         /** @type {Quiz|null} Currently selected quiz */
         this.currentQuiz = null;
         
@@ -42,10 +691,113 @@ class QuizApp {
         /** @type {number|null} Index of the currently selected answer option */
         this.selectedAnswer = null;
         
+        /** @type {Array<number>} Indexes of the selected options for 'multiple' questions */
+        this.selectedOptions = [];
+        
         /** @type {boolean} Whether the current question has been answered */
         this.answered = false;
         
-        this.init();
+        /** @type {number|null} Timestamp (ms) when the current attempt started */
+        this.startedAt = null;
+        
+        /** @type {number|null} Timestamp (ms) when the current attempt was finished */
+        this.completedAt = null;
+        
+        /** @type {SharedResult|null} Result opened from a share link, shown instead of the current attempt */
+        this.sharedResult = null;
+        
+        /** @type {Array<AnswerRecord>} Answers submitted during the current attempt */
+        this.answers = [];
+        
+        /** @type {QuizMode} How the current attempt is being played */
+        this.mode = 'standard';
+        
+        /** @type {TimeLimits} Time limits chosen for the current attempt */
+        this.timeLimits = { question: null, total: null };
+        
+        /** @type {boolean} Whether the current attempt awards points and streaks and asks for confidence ratings */
+        this.scoring = false;
+        
+        /** @type {Array<Player>} Players taking turns in a pass-and-play game; empty when one person plays */
+        this.players = [];
+        
+        /** @type {PlayerMode|null} How the pass-and-play game hands over between players, or null when one person plays */
+        this.playerMode = null;
+        
+        /** @type {number} Index of the player whose turn it is; their answers are in this.answers */
+        this.currentPlayerIndex = 0;
+        
+        /** @type {number|null} Timestamp (ms) when the current question was shown */
+        this.questionStartedAt = null;
+        
+        /** @type {number|null} Timestamp (ms) when the current question's countdown expires */
+        this.questionDeadline = null;
+        
+        /** @type {number|null} Timestamp (ms) when the whole-quiz countdown expires */
+        this.quizDeadline = null;
+        
+        /** @type {number|null} Interval ID of the running countdown */
+        this.timerInterval = null;
+        
+        /** @type {number|null} Timeout ID of the pending auto-advance after feedback */
+        this.advanceTimeout = null;
+        
+        /** @type {boolean} Whether the low-time warning has been announced for the current countdown */
+        this.timeWarningAnnounced = false;
+        
+        /** @type {Quiz|null} The quiz before shuffling, used to reshuffle on "Play Again" */
+        this.sourceQuiz = null;
+        
+        /** @type {ShuffleSettings} Shuffle settings chosen for the current attempt */
+        this.shuffle = { questions: false, options: false, seed: null };
+        
+        /** @type {string|null} Seed used to shuffle the current attempt */
+        this.seed = null;
+        
+        /** @type {QuizDraft|null} Quiz being edited in the quiz editor */
+        this.draft = null;
+        
+        /** @type {CustomQuizSettings|null} Choices made on the custom quiz setup screen, kept while the page is open */
+        this.customSettings = null;
+        
+        /** @type {Array<QuizAttempt>} Finished attempts loaded from localStorage */
+        this.history = [];
+        
+        /** @type {ThemePreference} The theme picked, applied by applyTheme() */
+        this.themePreference = 'system';
+        
+        /** @type {Object<string, string>} Subject colours picked by the user, keyed by getQuizKey() */
+        this.subjectColors = {};
+        
+        /** @type {AccessibilitySettings} Accessibility settings, loaded by loadSettings() */
+        this.settings = { ...DEFAULT_SETTINGS, keys: { ...DEFAULT_SETTINGS.keys } };
+        
+        /** @type {Array<Profile>} Player profiles saved in localStorage */
+        this.profiles = [];
+        
+        /** @type {string|null} ID of the profile playing, or null for a guest */
+        this.profileId = null;
+        
+        /** @type {string|null} Subject picked on the leaderboard screen */
+        this.leaderboardSubject = null;
+        
+        /** @type {Quiz|null} The worksheet shown on the worksheet screen: a quiz shuffled and cut to length */
+        this.worksheet = null;
+        
+        /** @type {LiveSession|null} The live session this window presents or takes part in */
+        this.live = null;
+        
+        /** @type {Object<string, ReviewItem>} Spaced-repetition state keyed by getReviewKey() */
+        this.reviewSchedule = {};
+        
+        /** @type {string|null} Route path of the screen being shown, e.g. "/quiz/css/3" */
+        this.currentRoute = null;
+        
+        /** @type {boolean} Whether a route from the URL is being applied, so screens replace it rather than push */
+        this.handlingRoute = false;
+        
+        /** @type {Promise<void>} Settles once the quizzes are loaded and the first screen is shown */
+        this.ready = this.init();
     }
     
     /**
@@ -54,31 +806,81 @@ class QuizApp {
      * @throws {Error} If quiz data fails to load
      */
     async init() {
+        this.registerServiceWorker();
+        
         try {
+            await this.loadMessages(this.getInitialLocale());
+            if (this.destroyed) return;
+            this.applyTranslations();
             await this.loadQuizzes();
+            if (this.destroyed) return;
+            this.loadImportedQuizzes();
             this.setupEventListeners();
             this.loadTheme();
+            this.loadSettings();
+            this.loadProfiles();
+            this.loadHistory();
+            this.loadReviewSchedule();
+            await this.migrateLegacyProgress();
+            if (this.destroyed) return;
+            this.loadSeedFromUrl();
             this.renderStartScreen();
         } catch (error) {
             console.error('Failed to initialize quiz app:', error);
-            this.showError('Failed to load quiz data. Please refresh the page.');
+            this.showError(this.t(navigator.onLine ? 'app.loadFailed' : 'app.offlineNoData'));
+            return;
+        }
+        
+        // A broken ?pack= link should not stop the built-in quizzes from working
+        await this.importPackFromUrl();
+        if (this.destroyed) return;
+        
+        // Deep links may point at an imported quiz, so they are followed once packs are loaded
+        if (this.options.routing) {
+            this.handleRoute();
         }
     }
     
     /**
-     * Loads quiz data from the data.json file.
+     * Gets where the built-in quizzes come from: the data option if the page gave one,
+     * otherwise the interface language's data file.
+     * @returns {string|QuizData} URL of the quiz data, or the data itself
+     */
+    getDataSource() {
+        return this.options.data || SUPPORTED_LOCALES[this.locale].data;
+    }
+    
+    /**
+     * Loads the built-in quizzes from the data source. A language whose data file can't be
+     * fetched plays the quizzes in QUIZ_DATA_URL instead.
      * @async
-     * @throws {Error} If the fetch request fails or response is not ok
+     * @throws {Error} If the fetch request fails, response is not ok or the data is invalid
      */
     async loadQuizzes() {
         try {
-            const response = await fetch('./data.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+            const source = this.getDataSource();
             /** @type {QuizData} */
-            const data = await response.json();
-            this.quizzes = data.quizzes;
+            let data = source;
+            this.usingCachedData = false;
+            this.dataUrl = null;
+            
+            if (typeof source === 'string') {
+                try {
+                    data = await this.fetchQuizData(source);
+                } catch (error) {
+                    if (this.options.data || source === QUIZ_DATA_URL) throw error;
+                    console.error(`Error loading quiz data for "${this.locale}", using ${QUIZ_DATA_URL}:`, error);
+                    data = await this.fetchQuizData(QUIZ_DATA_URL);
+                }
+            }
+            
+            const errors = this.validateQuizData(data);
+            if (errors.length > 0) {
+                throw new Error(`Invalid quiz data: ${errors.join('; ')}`);
+            }
+            this.builtInQuizzes = data.quizzes;
+            this.quizzes = [...this.builtInQuizzes];
+            this.renderConnectionStatus();
         } catch (error) {
             console.error('Error loading quizzes:', error);
             throw error;
@@ -86,423 +888,6682 @@ class QuizApp {
     }
     
     /**
-     * Sets up all event listeners for user interactions.
-     * Includes theme toggle, navigation buttons, submit button, and keyboard events.
+     * Fetches a quiz data file and notes whether the service worker answered from its cache.
+     * @async
+     * @param {string} url - URL of the quiz data
+     * @returns {Promise<*>} The parsed JSON, not validated yet
+     * @throws {Error} If the fetch request fails, response is not ok or the body is not JSON
      */
-    setupEventListeners() {
-        // Theme toggle
-        const themeToggle = document.getElementById('theme-toggle');
-        themeToggle.addEventListener('click', () => this.toggleTheme());
+    async fetchQuizData(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        this.usingCachedData = response.headers.get(QUIZ_CACHE_HEADER) === 'hit';
+        this.dataUrl = url;
+        return data;
+    }
+    
+    /**
+     * Moves progress saved before the built-in quizzes had IDs over to the IDs. The history, saved
+     * session and subject colours were keyed by the quiz titles in data.json, and the review schedule
+     * by those titles and the question texts, so data.json is fetched to match them when the quizzes
+     * shown come from another language's file. Progress of quizzes that no longer exist stays as it is.
+     * @async
+     */
+    async migrateLegacyProgress() {
+        const knownSubjects = new Set([...this.quizzes, PRACTICE_QUIZ, CUSTOM_QUIZ].map(quiz => this.getQuizKey(quiz)));
+        const isLegacy = subject => typeof subject === 'string' && !knownSubjects.has(subject);
+        let session = null;
+        try {
+            session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        } catch (error) {
+            session = null;
+        }
+        
+        const hasLegacy = this.history.some(attempt => isLegacy(attempt.subject))
+            || Object.keys(this.subjectColors).some(isLegacy)
+            || Object.keys(this.reviewSchedule).some(key => isLegacy(key.split('::')[0]))
+            || Boolean(session && isLegacy(session.subject));
+        if (!hasLegacy) return;
+        
+        let data = { quizzes: this.builtInQuizzes };
+        if (this.dataUrl && this.dataUrl !== QUIZ_DATA_URL) {
+            try {
+                const response = await fetch(QUIZ_DATA_URL);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                data = await response.json();
+            } catch (error) {
+                console.error('Error loading quiz data to move saved progress to quiz IDs:', error);
+                return;
+            }
+            if (this.validateQuizData(data).length > 0) return;
+        }
+        
+        /** @type {Map<string, string>} Quiz IDs, by title */
+        const quizIds = new Map();
+        /** @type {Map<string, Question>} Questions of quizzes with IDs, by their old review key */
+        const questions = new Map();
+        data.quizzes.filter(quiz => quiz.id).forEach(quiz => {
+            quizIds.set(quiz.title, quiz.id);
+            quiz.questions.forEach(question => questions.set(`${quiz.title}::${question.question}`, question));
+        });
+        
+        const moveSubject = subject => (isLegacy(subject) && quizIds.get(subject)) || subject;
+        const moveReviewKey = key => {
+            const subject = key.split('::')[0];
+            const question = isLegacy(subject) && questions.get(key);
+            return question ? this.getReviewKey(quizIds.get(subject), question) : key;
+        };
+        const withMovedSubject = entry => (entry.subject ? { ...entry, subject: moveSubject(entry.subject) } : entry);
+        
+        this.history = this.history.map(attempt => ({
+            ...attempt,
+            subject: moveSubject(attempt.subject),
+            ...(Array.isArray(attempt.answers) && { answers: attempt.answers.map(withMovedSubject) })
+        }));
+        this.saveHistory();
+        
+        this.reviewSchedule = Object.fromEntries(Object.entries(this.reviewSchedule)
+            .map(([key, item]) => [moveReviewKey(key), item]));
+        this.saveReviewSchedule();
+        
+        this.subjectColors = Object.fromEntries(Object.entries(this.subjectColors)
+            .map(([subject, color]) => [moveSubject(subject), color]));
+        this.saveSubjectColors();
+        
+        if (session && isLegacy(session.subject) && Array.isArray(session.questions) && Array.isArray(session.answers)) {
+            // Questions answered later in the session are scheduled under their IDs
+            const sessionQuestions = session.questions.map(question => {
+                const source = questions.get(`${question.subject || session.subject}::${question.question}`);
+                return source && source.id ? { ...question, id: source.id } : question;
+            });
+            try {
+                localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+                    ...session,
+                    subject: moveSubject(session.subject),
+                    questions: sessionQuestions.map(withMovedSubject),
+                    answers: session.answers.map(withMovedSubject)
+                }));
+            } catch (error) {
+                console.error('Error saving quiz session:', error);
+            }
+        }
+    }
+    
+    /**
+     * Registers the service worker that caches the app for offline use, and listens for
+     * its messages about the network and quiz data updates.
+     */
+    registerServiceWorker() {
+        if (!this.options.serviceWorker || !('serviceWorker' in navigator)) return;
+        
+        this.listen(navigator.serviceWorker, 'message', (e) => this.handleServiceWorkerMessage(e.data));
+        navigator.serviceWorker.register('./sw.js').catch(error => {
+            console.error('Error registering service worker:', error);
+        });
+    }
+    
+    /**
+     * Handles a message from the service worker.
+     * @param {{type: string}} message - 'offline' when the quiz data could not be refreshed,
+     *     'quiz-data-updated' when newer quiz data was cached
+     */
+    handleServiceWorkerMessage(message) {
+        if (!message) return;
+        
+        if (message.type === 'offline') {
+            this.networkUnavailable = true;
+        } else if (message.type === 'quiz-data-updated') {
+            this.quizDataUpdated = true;
+        }
+        this.renderConnectionStatus();
+    }
+    
+    /**
+     * Shows in the header whether the app is offline and running from saved quiz data,
+     * or whether newer quiz data is ready after a reload.
+     */
+    renderConnectionStatus() {
+        const status = this.getElement('connection-status');
+        const offline = !navigator.onLine || this.networkUnavailable;
+        let message = '';
+        
+        if (this.quizDataUpdated) {
+            message = this.t('connection.updated');
+        } else if (offline) {
+            message = this.t(this.usingCachedData ? 'connection.offlineCached' : 'connection.offline');
+        }
+        
+        status.hidden = !message;
+        status.textContent = message;
+    }
+    
+    /**
+     * Validates data against the QuizData schema.
+     * Checks that every quiz has a unique title and ID, an icon and at least one question, and that
+     * every question has text, an ID unique within its quiz, at least two distinct options and an
+     * answer that is one of them. IDs are optional.
+     * @param {*} data - The parsed JSON to validate
+     * @param {Array<string>} [reservedNames=[]] - Titles and IDs already in use that the data must not reuse
+     * @returns {Array<string>} Error messages prefixed with the path of the bad field; empty if valid
+     */
+    validateQuizData(data, reservedNames = []) {
+        const errors = [];
+        const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+        
+        if (!data || typeof data !== 'object' || !Array.isArray(data.quizzes)) {
+            return [`quizzes: ${this.t('validation.quizzes')}`];
+        }
+        if (data.quizzes.length === 0) {
+            return [`quizzes: ${this.t('validation.noQuizzes')}`];
+        }
+        
+        const seenTitles = new Set(reservedNames);
+        const seenIds = new Set(reservedNames);
+        
+        data.quizzes.forEach((quiz, quizIndex) => {
+            const quizPath = `quizzes[${quizIndex}]`;
+            
+            if (!quiz || typeof quiz !== 'object') {
+                errors.push(`${quizPath}: ${this.t('validation.object')}`);
+                return;
+            }
+            
+            if (quiz.id !== undefined) {
+                if (!isNonEmptyString(quiz.id)) {
+                    errors.push(`${quizPath}.id: ${this.t('validation.nonEmptyString')}`);
+                } else if (seenIds.has(quiz.id)) {
+                    errors.push(`${quizPath}.id: ${this.t('validation.duplicate', { value: quiz.id })}`);
+                } else {
+                    seenIds.add(quiz.id);
+                }
+            }
+            
+            if (!isNonEmptyString(quiz.title)) {
+                errors.push(`${quizPath}.title: ${this.t('validation.nonEmptyString')}`);
+            } else if (seenTitles.has(quiz.title)) {
+                errors.push(`${quizPath}.title: ${this.t('validation.titleTaken', { title: quiz.title })}`);
+            } else {
+                seenTitles.add(quiz.title);
+            }
+            
+            if (!isNonEmptyString(quiz.icon)) {
+                errors.push(`${quizPath}.icon: ${this.t('validation.nonEmptyString')}`);
+            }
+            
+            if (quiz.color !== undefined && !COLOR_PATTERN.test(quiz.color)) {
+                errors.push(`${quizPath}.color: ${this.t('validation.color')}`);
+            }
+            
+            if (!Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+                errors.push(`${quizPath}.questions: ${this.t('validation.nonEmptyArray')}`);
+                return;
+            }
+            
+            const questionIds = new Set();
+            quiz.questions.forEach((question, questionIndex) => {
+                const questionPath = `${quizPath}.questions[${questionIndex}]`;
+                
+                if (!question || typeof question !== 'object') {
+                    errors.push(`${questionPath}: ${this.t('validation.object')}`);
+                    return;
+                }
+                
+                if (question.id !== undefined) {
+                    if (!isNonEmptyString(question.id)) {
+                        errors.push(`${questionPath}.id: ${this.t('validation.nonEmptyString')}`);
+                    } else if (questionIds.has(question.id)) {
+                        errors.push(`${questionPath}.id: ${this.t('validation.duplicate', { value: question.id })}`);
+                    } else {
+                        questionIds.add(question.id);
+                    }
+                }
+                
+                if (!isNonEmptyString(question.question)) {
+                    errors.push(`${questionPath}.question: ${this.t('validation.nonEmptyString')}`);
+                } else if (toPlainText(question.question).includes('```')) {
+                    errors.push(`${questionPath}.question: ${this.t('validation.unclosedCode')}`);
+                }
+                
+                if (question.explanation !== undefined && !isNonEmptyString(question.explanation)) {
+                    errors.push(`${questionPath}.explanation: ${this.t('validation.nonEmptyString')}`);
+                }
+                
+                if (question.links !== undefined) {
+                    if (!Array.isArray(question.links)) {
+                        errors.push(`${questionPath}.links: ${this.t('validation.links')}`);
+                    } else {
+                        question.links.forEach((link, linkIndex) => {
+                            const linkPath = `${questionPath}.links[${linkIndex}]`;
+                            if (!link || typeof link !== 'object') {
+                                errors.push(`${linkPath}: ${this.t('validation.link')}`);
+                                return;
+                            }
+                            if (!isNonEmptyString(link.title)) {
+                                errors.push(`${linkPath}.title: ${this.t('validation.nonEmptyString')}`);
+                            }
+                            if (!this.isSafeLinkUrl(link.url)) {
+                                errors.push(`${linkPath}.url: ${this.t('validation.linkUrl')}`);
+                            }
+                        });
+                    }
+                }
+                
+                if (question.difficulty !== undefined && !DIFFICULTY_LEVELS.includes(question.difficulty)) {
+                    errors.push(`${questionPath}.difficulty: ${this.t('validation.type', { types: DIFFICULTY_LEVELS.join(', ') })}`);
+                }
+                
+                if (question.tags !== undefined) {
+                    if (!Array.isArray(question.tags)) {
+                        errors.push(`${questionPath}.tags: ${this.t('validation.stringArray')}`);
+                    } else {
+                        question.tags.forEach((tag, tagIndex) => {
+                            if (!isNonEmptyString(tag)) {
+                                errors.push(`${questionPath}.tags[${tagIndex}]: ${this.t('validation.nonEmptyString')}`);
+                            } else if (question.tags.indexOf(tag) !== tagIndex) {
+                                errors.push(`${questionPath}.tags[${tagIndex}]: ${this.t('validation.duplicate', { value: tag })}`);
+                            }
+                        });
+                    }
+                }
+                
+                if (question.type !== undefined && !QUESTION_TYPES.includes(question.type)) {
+                    errors.push(`${questionPath}.type: ${this.t('validation.type', { types: QUESTION_TYPES.join(', ') })}`);
+                    return;
+                }
+                
+                const type = this.getQuestionType(question);
+                
+                if (type === 'text') {
+                    if (!isNonEmptyString(question.answer)) {
+                        errors.push(`${questionPath}.answer: ${this.t('validation.nonEmptyString')}`);
+                    }
+                    if (question.accept !== undefined) {
+                        if (!Array.isArray(question.accept)) {
+                            errors.push(`${questionPath}.accept: ${this.t('validation.stringArray')}`);
+                        } else {
+                            question.accept.forEach((accepted, acceptIndex) => {
+                                if (!isNonEmptyString(accepted)) {
+                                    errors.push(`${questionPath}.accept[${acceptIndex}]: ${this.t('validation.nonEmptyString')}`);
+                                }
+                            });
+                        }
+                    }
+                    return;
+                }
+                
+                const options = this.getQuestionOptions(question);
+                
+                if (!Array.isArray(options) || options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+                    errors.push(`${questionPath}.options: ${this.t('validation.optionCount', { min: MIN_OPTIONS, max: MAX_OPTIONS })}`);
+                    return;
+                }
+                if (type === 'boolean' && options.length !== 2) {
+                    errors.push(`${questionPath}.options: ${this.t('validation.booleanOptions')}`);
+                    return;
+                }
+                
+                options.forEach((option, optionIndex) => {
+                    if (!isNonEmptyString(option)) {
+                        errors.push(`${questionPath}.options[${optionIndex}]: ${this.t('validation.nonEmptyString')}`);
+                    } else if (toPlainText(option).includes('```')) {
+                        errors.push(`${questionPath}.options[${optionIndex}]: ${this.t('validation.unclosedCode')}`);
+                    } else if (options.indexOf(option) !== optionIndex) {
+                        errors.push(`${questionPath}.options[${optionIndex}]: ${this.t('validation.duplicate', { value: option })}`);
+                    }
+                });
+                
+                if (type === 'multiple') {
+                    if (!Array.isArray(question.answer) || question.answer.length === 0) {
+                        errors.push(`${questionPath}.answer: ${this.t('validation.answers')}`);
+                        return;
+                    }
+                    question.answer.forEach((answer, answerIndex) => {
+                        if (!options.includes(answer)) {
+                            errors.push(`${questionPath}.answer[${answerIndex}]: ${this.t('validation.notAnOption', { value: answer })}`);
+                        } else if (question.answer.indexOf(answer) !== answerIndex) {
+                            errors.push(`${questionPath}.answer[${answerIndex}]: ${this.t('validation.duplicate', { value: answer })}`);
+                        }
+                    });
+                } else if (!isNonEmptyString(question.answer)) {
+                    errors.push(`${questionPath}.answer: ${this.t('validation.nonEmptyString')}`);
+                } else if (!options.includes(question.answer)) {
+                    errors.push(`${questionPath}.answer: ${this.t('validation.notAnOption', { value: question.answer })}`);
+                }
+            });
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Checks that a reference link URL is safe to put in an `href`.
+     * Only http(s) URLs and paths relative to the app are allowed, which rules out
+     * `javascript:` and `data:` URLs from imported packs.
+     * @param {*} url - The URL to check
+     * @returns {boolean} Whether the URL is allowed
+     */
+    isSafeLinkUrl(url) {
+        if (typeof url !== 'string' || url.trim() === '') return false;
+        try {
+            const { protocol } = new URL(url, window.location.href);
+            return protocol === 'http:' || protocol === 'https:';
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Gets the type of a question.
+     * @param {Question} question - The question
+     * @returns {QuestionType} The question type, 'single' if none is given
+     */
+    getQuestionType(question) {
+        return question.type || 'single';
+    }
+    
+    /**
+     * Gets the options shown for a question.
+     * @param {Question} question - The question
+     * @returns {Array<string>} The options; empty for 'text' questions
+     */
+    getQuestionOptions(question) {
+        const type = this.getQuestionType(question);
+        if (type === 'text') return [];
+        if (type === 'boolean') return question.options || BOOLEAN_OPTIONS;
+        return question.options;
+    }
+    
+    /**
+     * Gets the correct answers of a question or answer record as a list.
+     * @param {string|Array<string>} answer - The `answer` field
+     * @returns {Array<string>} The correct answers
+     */
+    getCorrectOptions(answer) {
+        return Array.isArray(answer) ? answer : [answer];
+    }
+    
+    /**
+     * Normalises free text for comparison: case, surrounding and repeated whitespace,
+     * and trailing punctuation are ignored.
+     * @param {string} text - The text to normalise
+     * @returns {string} The normalised text
+     */
+    normalizeAnswer(text) {
+        return text
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/[.!?]+$/, '');
+    }
+    
+    /**
+     * Checks a response against a question's answer.
+     * 'multiple' questions need exactly the correct set of options; 'text' questions
+     * accept the answer or any `accept` alternative after normalisation.
+     * @param {Question} question - The question
+     * @param {string|Array<string>|null} response - The submitted response
+     * @returns {boolean} Whether the response is correct
+     */
+    isResponseCorrect(question, response) {
+        if (response === null) return false;
+        
+        switch (this.getQuestionType(question)) {
+            case 'multiple':
+                return response.length === question.answer.length
+                    && response.every(option => question.answer.includes(option));
+            case 'text':
+                return [question.answer, ...(question.accept || [])]
+                    .some(accepted => this.normalizeAnswer(accepted) === this.normalizeAnswer(response));
+            default:
+                return response === question.answer;
+        }
+    }
+    
+    /**
+     * Gets the letter label for an option.
+     * @param {number} index - The index of the option
+     * @returns {string} The letter (A for 0, B for 1, ...)
+     */
+    getOptionLetter(index) {
+        return String.fromCharCode(65 + index);
+    }
+    
+    /**
+     * Formats a submitted response or correct answer for display as plain text.
+     * @param {string|Array<string>} value - The response or answer
+     * @returns {string} The value without markup, with multiple options joined by commas
+     */
+    formatAnswer(value) {
+        return toPlainText(Array.isArray(value) ? value.join(', ') : value);
+    }
+    
+    /**
+     * Loads imported quiz packs from localStorage and adds them after the built-in quizzes.
+     * Saved quizzes that no longer validate are dropped.
+     */
+    loadImportedQuizzes() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PACKS_STORAGE_KEY));
+            const quizzes = Array.isArray(saved) ? saved : [];
+            const reservedNames = this.getReservedNames();
+            
+            this.importedQuizzes = quizzes.filter(quiz => {
+                const errors = this.validateQuizData({ quizzes: [quiz] }, reservedNames);
+                if (errors.length > 0) {
+                    console.error('Dropping invalid imported quiz:', errors);
+                }
+                return errors.length === 0;
+            });
+        } catch (error) {
+            console.error('Error loading imported quizzes:', error);
+            this.importedQuizzes = [];
+        }
+        
+        this.quizzes = [...this.builtInQuizzes, ...this.importedQuizzes];
+    }
+    
+    /**
+     * Gets the titles and IDs imported quizzes may not use: those of the built-in quizzes, and the
+     * titles of practice and custom sessions. A quiz without an ID is saved under its title, so
+     * neither may be taken.
+     * @returns {Array<string>} The reserved titles and IDs
+     */
+    getReservedNames() {
+        return [
+            ...this.builtInQuizzes.flatMap(quiz => (quiz.id ? [quiz.title, quiz.id] : [quiz.title])),
+            PRACTICE_QUIZ.title,
+            CUSTOM_QUIZ.title
+        ];
+    }
+    
+    /**
+     * Saves the imported quizzes to localStorage.
+     */
+    saveImportedQuizzes() {
+        try {
+            localStorage.setItem(PACKS_STORAGE_KEY, JSON.stringify(this.importedQuizzes));
+        } catch (error) {
+            console.error('Error saving imported quizzes:', error);
+            this.showError(this.t('import.saveFailed'));
+        }
+    }
+    
+    /**
+     * Validates a quiz pack and adds its quizzes to the subject list.
+     * Titles and IDs must be unique within the pack and must not reuse a built-in title or ID;
+     * a quiz with the same title or ID as a previously imported one replaces it.
+     * @param {*} data - The parsed quiz pack
+     * @param {string} sourceName - File name or URL of the pack, used in messages
+     * @returns {boolean} Whether the pack was imported
+     */
+    importQuizPack(data, sourceName) {
+        const errors = this.validateQuizData(data, this.getReservedNames());
+        
+        if (errors.length > 0) {
+            this.showImportErrors(errors, sourceName);
+            return false;
+        }
+        
+        const importedNames = data.quizzes.flatMap(quiz => [quiz.title, this.getQuizKey(quiz)]);
+        this.importedQuizzes = [
+            ...this.importedQuizzes.filter(quiz => !importedNames.includes(quiz.title) && !importedNames.includes(this.getQuizKey(quiz))),
+            ...data.quizzes.map(({ id, title, icon, color, questions }) => ({ ...(id && { id }), title, icon, ...(color && { color }), questions }))
+        ];
+        this.quizzes = [...this.builtInQuizzes, ...this.importedQuizzes];
+        
+        this.saveImportedQuizzes();
+        this.renderSubjects();
+        this.renderImportControls();
+        
+        this.announceToScreenReader(this.t('import.imported', { count: data.quizzes.length, source: sourceName }));
+        return true;
+    }
+    
+    /**
+     * Shows the first few problems that stopped a quiz pack from being imported.
+     * @param {Array<string>} errors - The problems found
+     * @param {string} sourceName - File name or URL of the pack
+     */
+    showImportErrors(errors, sourceName) {
+        const listed = errors.slice(0, MAX_REPORTED_ERRORS).join('; ');
+        const more = errors.length - MAX_REPORTED_ERRORS;
+        this.showError(more > 0
+            ? this.t('import.invalidMore', { source: sourceName, errors: listed, count: more })
+            : this.t('import.invalid', { source: sourceName, errors: listed }));
+    }
+    
+    /**
+     * Reads a JSON or CSV file chosen in the file picker or dropped on the page and imports it.
+     * Files ending in .csv, or sent as text/csv, are read with csvToQuizData().
+     * @async
+     * @param {File} file - The file to import
+     */
+    async importPackFile(file) {
+        const isCsv = file.type === 'text/csv' || /\.csv$/i.test(file.name);
+        let text;
+        let data;
+        try {
+            text = await file.text();
+            if (!isCsv) data = JSON.parse(text);
+        } catch (error) {
+            console.error('Error reading quiz pack:', error);
+            this.showError(this.t(isCsv ? 'import.unreadable' : 'import.notJson', { file: file.name }));
+            return;
+        }
+        
+        if (isCsv) {
+            const csvImport = this.csvToQuizData(text);
+            if (csvImport.errors.length > 0) {
+                this.showImportErrors(csvImport.errors, file.name);
+                return;
+            }
+            data = csvImport.data;
+        }
+        
+        this.importQuizPack(data, file.name);
+    }
+    
+    /**
+     * Imports the quiz pack named by a `?pack=` URL parameter.
+     * Only same-origin URLs are accepted.
+     * @async
+     */
+    async importPackFromUrl() {
+        const pack = new URLSearchParams(window.location.search).get('pack');
+        if (!pack) return;
+        
+        let url;
+        try {
+            url = new URL(pack, window.location.href);
+        } catch (error) {
+            this.showError(this.t('import.invalidUrl', { pack }));
+            return;
+        }
+        
+        if (url.origin !== window.location.origin) {
+            this.showError(this.t('import.otherSite'));
+            return;
+        }
+        
+        try {
+            const response = await fetch(url.href);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.importQuizPack(await response.json(), pack);
+        } catch (error) {
+            console.error('Error loading quiz pack:', error);
+            this.showError(this.t('import.loadFailed', { pack }));
+        }
+    }
+    
+    /**
+     * Removes every imported quiz and saves the change.
+     */
+    removeImportedQuizzes() {
+        this.importedQuizzes = [];
+        this.quizzes = [...this.builtInQuizzes];
+        this.saveImportedQuizzes();
+        this.renderSubjects();
+        this.renderResumePrompt();
+        this.renderImportControls();
+        this.announceToScreenReader(this.t('import.removed'));
+    }
+    
+    /**
+     * Shows the "Remove imported" button only when there are imported quizzes.
+     */
+    renderImportControls() {
+        this.getElement('remove-imported-btn').hidden = this.importedQuizzes.length === 0;
+    }
+    
+    /**
+     * Sets up all event listeners for user interactions.
+     * Includes theme toggle, navigation buttons, submit button, and keyboard events.
+     */
+    setupEventListeners() {
+        // Theme toggle
+        const themeToggle = this.getElement('theme-toggle');
+        themeToggle.addEventListener('click', () => this.toggleTheme());
+        this.getElement('theme-select').addEventListener('change', (e) => this.setThemePreference(e.target.value));
+        
+        // Subject colours
+        this.getElement('subject-color-list').addEventListener('change', (e) => {
+            if (e.target.matches('.subject-color-input')) {
+                this.setSubjectColor(e.target.dataset.subject, e.target.value);
+            }
+        });
+        this.getElement('reset-colors-btn').addEventListener('click', () => this.resetSubjectColors());
+        
+        // Accessibility settings
+        this.getElement('text-size-select').addEventListener('change', (e) => this.updateSetting('textSize', e.target.value));
+        this.getElement('reduce-motion-toggle').addEventListener('change', (e) => this.updateSetting('reduceMotion', e.target.checked));
+        this.getElement('feedback-delay-select').addEventListener('change', (e) => this.updateSetting('feedbackDelay', Number(e.target.value)));
+        this.getElement('announcements-select').addEventListener('change', (e) => this.updateSetting('announcements', e.target.value));
+        this.getElement('option-keys-select').addEventListener('change', (e) => this.setKeyBinding('options', e.target.value));
+        this.root.querySelectorAll('.key-input').forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                // Tab still moves focus, so keyboard users can leave the field
+                if (e.key === 'Tab') return;
+                e.preventDefault();
+                this.setKeyBinding(input.dataset.action, e.key);
+            });
+        });
+        this.getElement('reset-keys-btn').addEventListener('click', () => this.resetKeyBindings());
+        
+        // Language switcher
+        this.getElement('language-select').addEventListener('change', (e) => this.setLocale(e.target.value));
+        
+        // Profile switcher
+        this.getElement('profile-select').addEventListener('change', (e) => this.setActiveProfile(e.target.value || null));
+        
+        // Navigation buttons
+        this.getElement('play-again-btn').addEventListener('click', () => this.playAgain());
+        this.getElement('back-to-menu-btn').addEventListener('click', () => this.showStartScreen());
+        this.getElement('share-btn').addEventListener('click', () => this.shareResult());
+        this.getElement('download-card-btn').addEventListener('click', () => this.downloadScoreCard());
+        
+        // Review screen
+        this.getElement('review-btn').addEventListener('click', () => this.showReview());
+        this.getElement('retry-missed-btn').addEventListener('click', () => this.retryMissed());
+        this.getElement('back-to-results-btn').addEventListener('click', () => this.showResults());
+        
+        // Resume prompt
+        this.getElement('resume-btn').addEventListener('click', () => this.resumeSession());
+        this.getElement('discard-session-btn').addEventListener('click', () => this.discardSession());
+        
+        // Submit button
+        this.getElement('submit-btn').addEventListener('click', () => this.submitAnswer());
+        this.getElement('next-btn').addEventListener('click', () => {
+            if (this.answered) this.nextQuestion();
+        });
+        
+        // Quiz pack import
+        const packInput = this.getElement('pack-input');
+        packInput.addEventListener('change', () => {
+            if (packInput.files[0]) this.importPackFile(packInput.files[0]);
+            packInput.value = '';
+        });
+        this.getElement('remove-imported-btn').addEventListener('click', () => this.removeImportedQuizzes());
+        
+        const startScreen = this.getElement('start-screen');
+        startScreen.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            startScreen.classList.add('drag-over');
+        });
+        startScreen.addEventListener('dragleave', (e) => {
+            if (!startScreen.contains(e.relatedTarget)) startScreen.classList.remove('drag-over');
+        });
+        startScreen.addEventListener('drop', (e) => {
+            e.preventDefault();
+            startScreen.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) this.importPackFile(file);
+        });
+        
+        // Leaderboard and profiles
+        this.getElement('leaderboard-btn').addEventListener('click', () => this.showLeaderboardScreen());
+        this.getElement('leaderboard-subject').addEventListener('change', (e) => {
+            this.leaderboardSubject = e.target.value;
+            this.renderProfileRankings();
+        });
+        this.getElement('profile-form').addEventListener('submit', (e) => this.handleProfileSubmit(e));
+        this.getElement('profile-list').addEventListener('click', (e) => {
+            const deleteButton = e.target.closest('.delete-profile-btn');
+            if (deleteButton) this.deleteProfile(deleteButton.dataset.profile);
+        });
+        this.getElement('export-profiles-btn').addEventListener('click', () => this.exportProfiles());
+        const profilesInput = this.getElement('profiles-input');
+        profilesInput.addEventListener('change', () => {
+            if (profilesInput.files[0]) this.importProfilesFile(profilesInput.files[0]);
+            profilesInput.value = '';
+        });
+        this.getElement('leaderboard-back-btn').addEventListener('click', () => this.showStartScreen());
+        
+        // Worksheet screen
+        this.getElement('worksheet-btn').addEventListener('click', () => this.showWorksheetScreen());
+        this.getElement('worksheet-subject').addEventListener('change', () => {
+            // A new subject starts with all of its questions
+            this.getElement('worksheet-count').value = '';
+            this.buildWorksheet();
+        });
+        ['worksheet-count', 'worksheet-shuffle-questions', 'worksheet-shuffle-options'].forEach(id => {
+            this.getElement(id).addEventListener('change', () => this.buildWorksheet());
+        });
+        this.getElement('print-worksheet-btn').addEventListener('click', () => this.printWorksheet());
+        this.getElement('worksheet-markdown-btn').addEventListener('click', () => this.exportWorksheetMarkdown());
+        this.getElement('worksheet-csv-btn').addEventListener('click', () => this.exportWorksheetCsv());
+        this.getElement('worksheet-back-btn').addEventListener('click', () => this.showStartScreen());
+        
+        // Live sessions
+        this.getElement('live-btn').addEventListener('click', () => this.showLiveScreen());
+        this.getElement('host-live-btn').addEventListener('click', () => this.hostLiveSession());
+        this.getElement('live-join-form').addEventListener('submit', (e) => this.handleLiveJoin(e));
+        this.getElement('start-live-btn').addEventListener('click', () => this.startLiveQuiz());
+        this.getElement('leave-live-btn').addEventListener('click', () => this.showStartScreen());
+        this.getElement('live-back-btn').addEventListener('click', () => this.showStartScreen());
+        this.getElement('reveal-btn').addEventListener('click', () => this.revealLiveAnswer());
+        this.listen(window, 'pagehide', () => this.leaveLiveSession());
+        
+        // Custom quiz setup
+        this.getElement('custom-quiz-btn').addEventListener('click', () => this.showSetupScreen());
+        this.getElement('setup-screen').addEventListener('change', (e) => this.handleSetupChange(e));
+        this.getElement('setup-start-btn').addEventListener('click', () => this.startCustomQuiz());
+        this.getElement('setup-back-btn').addEventListener('click', () => this.showStartScreen());
+        
+        // Pass-and-play players
+        this.getElement('player-mode-select').addEventListener('change', () => this.renderPlayerFields());
+        this.getElement('add-player-btn').addEventListener('click', () => this.addPlayerField());
+        this.getElement('player-list').addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.remove-player-btn');
+            if (removeButton) this.removePlayerField(removeButton.closest('li'));
+        });
+        this.getElement('handover-ready-btn').addEventListener('click', () => this.beginTurn());
+        
+        // Quiz editor
+        this.getElement('create-quiz-btn').addEventListener('click', () => this.showAuthorScreen());
+        const authorScreen = this.getElement('author-screen');
+        authorScreen.addEventListener('input', (e) => this.handleAuthorInput(e));
+        authorScreen.addEventListener('change', (e) => this.handleAuthorInput(e));
+        authorScreen.addEventListener('click', (e) => this.handleAuthorClick(e));
+        this.getElement('exit-preview-btn').addEventListener('click', () => this.showAuthorScreen());
+        this.getElement('linked-start-btn').addEventListener('click', () => {
+            this.selectSubject(this.quizzes.findIndex(quiz => this.getQuizKey(quiz) === this.getQuizKey(this.currentQuiz)));
+        });
+        
+        // Keyboard navigation
+        this.listen(document, 'keydown', (e) => this.handleKeyboard(e));
+        
+        // Connection status
+        this.listen(window, 'online', () => {
+            this.networkUnavailable = false;
+            this.renderConnectionStatus();
+        });
+        this.listen(window, 'offline', () => this.renderConnectionStatus());
+        
+        // Back/Forward and edited URLs; handleRoute ignores the duplicate when both events fire
+        if (this.options.routing) {
+            this.listen(window, 'popstate', () => this.handleRoute());
+            this.listen(window, 'hashchange', () => this.handleRoute());
+        }
+    }
+    
+    /**
+     * Adds an event listener to something outside the app's root, such as the document or window,
+     * and remembers it so destroy() can remove it. Does nothing once the app is destroyed.
+     * @param {EventTarget} target - The object to listen on
+     * @param {string} type - The event type
+     * @param {Function} handler - The listener
+     */
+    listen(target, type, handler) {
+        if (this.destroyed) return;
+        
+        target.addEventListener(type, handler);
+        this.globalListeners.push({ target, type, handler });
+    }
+    
+    /**
+     * Dispatches a QuizEventType event on the app for host pages to listen to.
+     * @param {QuizEventType} type - The event type
+     * @param {Object} detail - The event detail
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+    
+    /**
+     * Stops the app: clears its timers, leaves the live session and removes the listeners it added
+     * outside its root. Safe to call while the app is still starting up, which then stops.
+     * The markup is left to the host page to remove.
+     */
+    destroy() {
+        this.destroyed = true;
+        this.clearTimers();
+        this.leaveLiveSession();
+        this.globalListeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.globalListeners = [];
+    }
+    
+    /**
+     * Loads the saved theme and subject colours from localStorage and applies them to the app.
+     * Defaults to following the system theme if no theme is saved, and keeps following it when the
+     * system's colour scheme or contrast setting changes. index.html applies the theme the same way
+     * before the first paint; this takes over once the app starts.
+     */
+    loadTheme() {
+        const savedTheme = localStorage.getItem(THEME_STORAGE_KEY);
+        this.themePreference = THEME_PREFERENCES.includes(savedTheme) ? savedTheme : 'system';
+        
+        try {
+            const savedColors = JSON.parse(localStorage.getItem(SUBJECT_COLORS_STORAGE_KEY)) || {};
+            this.subjectColors = Object.fromEntries(Object.entries(savedColors)
+                .filter(([, color]) => typeof color === 'string' && COLOR_PATTERN.test(color)));
+        } catch (error) {
+            console.error('Error loading subject colours:', error);
+            this.subjectColors = {};
+        }
+        
+        ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+            this.listen(window.matchMedia(query), 'change', () => {
+                if (this.themePreference === 'system') this.applyTheme();
+            });
+        });
+        
+        this.applyTheme();
+    }
+    
+    /**
+     * Works out the theme to show: the one picked, or for 'system' the one matching the
+     * operating system, with high contrast when it asks for more contrast.
+     * @returns {'light'|'dark'|'high-contrast'} The theme to show
+     */
+    getResolvedTheme() {
+        if (this.themePreference !== 'system') return this.themePreference;
+        if (window.matchMedia('(prefers-contrast: more)').matches) return 'high-contrast';
+        return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+    
+    /**
+     * Shows the resolved theme and syncs the theme picker and toggle with it. Emits themechange
+     * when the theme shown changes.
+     */
+    applyTheme() {
+        const theme = this.getResolvedTheme();
+        const previousTheme = this.hostElement.getAttribute('data-theme');
+        
+        this.hostElement.setAttribute('data-theme', theme);
+        this.getElement('theme-select').value = this.themePreference;
+        this.getElement('theme-toggle').setAttribute('aria-pressed', String(theme !== 'light'));
+        
+        if (previousTheme && previousTheme !== theme) {
+            this.emit('themechange', { theme, preference: this.themePreference });
+        }
+    }
+    
+    /**
+     * Picks a theme, saves it to localStorage and announces the change for screen readers.
+     * @param {ThemePreference} preference - The theme to use
+     */
+    setThemePreference(preference) {
+        if (!THEME_PREFERENCES.includes(preference)) return;
+        
+        this.themePreference = preference;
+        localStorage.setItem(THEME_STORAGE_KEY, preference);
+        this.applyTheme();
+        
+        // Announce theme change for screen readers
+        this.announceToScreenReader(this.t('app.themeSwitched', { theme: this.t(`app.themes.${preference}`) }));
+    }
+    
+    /**
+     * Toggles between light and dark themes. From high contrast, it switches to light.
+     * Saves the new theme to localStorage and announces the change for screen readers.
+     */
+    toggleTheme() {
+        this.setThemePreference(this.getResolvedTheme() === 'light' ? 'dark' : 'light');
+    }
+    
+    /**
+     * Gets the background colour of a subject's icon: the colour the user picked, otherwise the
+     * quiz's own colour.
+     * @param {string} subject - The quiz key (see getQuizKey)
+     * @returns {string|null} The colour as "#rrggbb", or null to use the theme's default
+     */
+    getSubjectColor(subject) {
+        if (Object.hasOwn(this.subjectColors, subject)) return this.subjectColors[subject];
+        return this.findQuizBySubject(subject)?.color || null;
+    }
+    
+    /**
+     * Marks a subject icon with its subject and gives it the subject's colour.
+     * @param {HTMLElement} element - The .subject-icon element
+     * @param {string} subject - The quiz key (see getQuizKey)
+     */
+    setSubjectIcon(element, subject) {
+        const color = this.getSubjectColor(subject);
+        element.setAttribute('data-subject', subject);
+        if (color) {
+            element.style.setProperty('--subject-color', color);
+        } else {
+            element.style.removeProperty('--subject-color');
+        }
+    }
+    
+    /**
+     * Lists a colour input for every subject, including practice and custom sessions, in the
+     * appearance options.
+     */
+    renderSubjectColors() {
+        const list = this.getElement('subject-color-list');
+        list.innerHTML = '';
+        
+        [...this.quizzes, PRACTICE_QUIZ, CUSTOM_QUIZ].forEach(quiz => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'quiz-option between';
+            
+            const subject = this.getQuizKey(quiz);
+            const name = document.createElement('span');
+            name.textContent = this.getDisplayTitle(subject);
+            
+            const input = document.createElement('input');
+            input.type = 'color';
+            input.className = 'subject-color-input';
+            input.dataset.subject = subject;
+            // Colour inputs cannot be empty; subjects without a colour start from the theme's border colour
+            input.value = this.getSubjectColor(subject) || '#E5E7EB';
+            
+            label.append(name, input);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+        
+        this.getElement('reset-colors-btn').disabled = Object.keys(this.subjectColors).length === 0;
+    }
+    
+    /**
+     * Saves the colour picked for a subject and recolours its icons.
+     * @param {string} subject - The quiz key (see getQuizKey)
+     * @param {string} color - The colour as "#rrggbb"
+     */
+    setSubjectColor(subject, color) {
+        if (!COLOR_PATTERN.test(color)) return;
+        
+        this.subjectColors[subject] = color;
+        this.saveSubjectColors();
+        this.getElement('reset-colors-btn').disabled = false;
+    }
+    
+    /**
+     * Goes back to the quizzes' own subject colours.
+     */
+    resetSubjectColors() {
+        this.subjectColors = {};
+        this.saveSubjectColors();
+        this.renderSubjectColors();
+        this.announceToScreenReader(this.t('appearance.colorsReset'));
+    }
+    
+    /**
+     * Saves the subject colours to localStorage and applies them to every subject icon shown.
+     */
+    saveSubjectColors() {
+        try {
+            localStorage.setItem(SUBJECT_COLORS_STORAGE_KEY, JSON.stringify(this.subjectColors));
+        } catch (error) {
+            console.error('Error saving subject colours:', error);
+        }
+        
+        this.root.querySelectorAll('.subject-icon[data-subject]').forEach(icon => {
+            this.setSubjectIcon(icon, icon.dataset.subject);
+        });
+    }
+    
+    /**
+     * Loads the accessibility settings from localStorage and applies them.
+     * Missing or invalid values fall back to DEFAULT_SETTINGS. index.html applies the text size and
+     * reduced motion the same way before the first paint.
+     */
+    loadSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.error('Error loading accessibility settings:', error);
+        }
+        
+        const keys = { ...DEFAULT_SETTINGS.keys, ...saved.keys };
+        const keysValid = ['letters', 'numbers'].includes(keys.options)
+            && this.getKeyConflict('submit', keys.submit, keys) === null
+            && this.getKeyConflict('exit', keys.exit, keys) === null;
+        
+        this.settings = {
+            textSize: TEXT_SIZES.includes(saved.textSize) ? saved.textSize : DEFAULT_SETTINGS.textSize,
+            reduceMotion: typeof saved.reduceMotion === 'boolean' ? saved.reduceMotion : DEFAULT_SETTINGS.reduceMotion,
+            feedbackDelay: FEEDBACK_DELAYS.includes(saved.feedbackDelay) ? saved.feedbackDelay : DEFAULT_SETTINGS.feedbackDelay,
+            announcements: ANNOUNCEMENT_LEVELS.includes(saved.announcements) ? saved.announcements : DEFAULT_SETTINGS.announcements,
+            keys: keysValid ? keys : { ...DEFAULT_SETTINGS.keys }
+        };
+        
+        this.applySettings();
+    }
+    
+    /**
+     * Saves the accessibility settings to localStorage.
+     */
+    saveSettings() {
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('Error saving accessibility settings:', error);
+        }
+    }
+    
+    /**
+     * Applies the text size and reduced motion to the page and syncs the settings controls.
+     */
+    applySettings() {
+        if (this.settings.textSize === 'normal') {
+            this.hostElement.removeAttribute('data-text-size');
+        } else {
+            this.hostElement.setAttribute('data-text-size', this.settings.textSize);
+        }
+        this.hostElement.toggleAttribute('data-reduce-motion', this.settings.reduceMotion);
+        
+        this.getElement('text-size-select').value = this.settings.textSize;
+        this.getElement('reduce-motion-toggle').checked = this.settings.reduceMotion;
+        this.getElement('feedback-delay-select').value = String(this.settings.feedbackDelay);
+        this.getElement('announcements-select').value = this.settings.announcements;
+        this.renderKeyBindings();
+    }
+    
+    /**
+     * Changes one accessibility setting, then saves and applies the settings.
+     * @param {string} name - The setting to change, e.g. 'textSize'
+     * @param {*} value - Its new value
+     */
+    updateSetting(name, value) {
+        this.settings[name] = value;
+        this.saveSettings();
+        this.applySettings();
+    }
+    
+    /**
+     * Checks whether animations should be skipped, because the settings or the system ask for reduced motion.
+     * @returns {boolean} Whether motion is reduced
+     */
+    isMotionReduced() {
+        return this.settings.reduceMotion || window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+    
+    /**
+     * Normalizes a KeyboardEvent.key so letter shortcuts work with or without Shift and Caps Lock.
+     * @param {string} key - The key
+     * @returns {string} The key, lowercase if it is a single character
+     */
+    normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+    
+    /**
+     * Gets the keys that pick answer options.
+     * @param {'numbers'|'letters'} [layout=this.settings.keys.options] - The option key layout
+     * @returns {Array<string>} The keys for the first to ninth option
+     */
+    getOptionKeys(layout = this.settings.keys.options) {
+        return Array.from({ length: 9 }, (_, index) => layout === 'letters'
+            ? this.getOptionLetter(index).toLowerCase()
+            : String(index + 1));
+    }
+    
+    /**
+     * Works out why a key cannot be used for a shortcut.
+     * @param {'submit'|'exit'} action - The shortcut to bind
+     * @param {string} key - The key to bind it to
+     * @param {KeyBindings} [keys=this.settings.keys] - The bindings to check against
+     * @returns {string|null} A translation key describing the conflict, or null if the key can be used
+     */
+    getKeyConflict(action, key, keys = this.settings.keys) {
+        if (typeof key !== 'string' || key === '' || RESERVED_KEYS.includes(key)) return 'accessibility.keyReserved';
+        
+        const otherAction = action === 'submit' ? 'exit' : 'submit';
+        const taken = this.getOptionKeys(keys.options).includes(this.normalizeKey(key))
+            || this.normalizeKey(keys[otherAction]) === this.normalizeKey(key);
+        return taken ? 'accessibility.keyTaken' : null;
+    }
+    
+    /**
+     * Formats a key for display, e.g. "Space" for the space bar.
+     * @param {string} key - A KeyboardEvent.key
+     * @returns {string} The key as shown to the user
+     */
+    formatKey(key) {
+        if (key === ' ') return this.t('accessibility.space');
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+    
+    /**
+     * Shows the current keyboard shortcuts in the settings.
+     */
+    renderKeyBindings() {
+        const keys = this.settings.keys;
+        this.getElement('option-keys-select').value = keys.options;
+        this.getElement('submit-key-input').value = this.formatKey(keys.submit);
+        this.getElement('exit-key-input').value = this.formatKey(keys.exit);
+    }
+    
+    /**
+     * Remaps a keyboard shortcut. Keys already used by another shortcut, and keys that keep their
+     * usual job such as Tab, are refused with an error.
+     * @param {'options'|'submit'|'exit'} action - The shortcut to remap
+     * @param {string} value - The option key layout for 'options', otherwise the KeyboardEvent.key
+     */
+    setKeyBinding(action, value) {
+        const keys = { ...this.settings.keys, [action]: value };
+        // A new option layout can clash with either shortcut
+        const checked = action === 'options' ? ['submit', 'exit'] : [action];
+        const clash = checked.find(shortcut => this.getKeyConflict(shortcut, keys[shortcut], keys) !== null);
+        
+        if (clash) {
+            this.renderKeyBindings();
+            this.showError(this.t(this.getKeyConflict(clash, keys[clash], keys), { key: this.formatKey(keys[clash]) }));
+            return;
+        }
+        
+        this.updateSetting('keys', keys);
+        if (action !== 'options') {
+            this.announceToScreenReader(this.t('accessibility.keySaved', {
+                action: this.t(`accessibility.${action}Key`),
+                key: this.formatKey(value)
+            }));
+        }
+    }
+    
+    /**
+     * Goes back to the default keyboard shortcuts.
+     */
+    resetKeyBindings() {
+        this.updateSetting('keys', { ...DEFAULT_SETTINGS.keys });
+        this.announceToScreenReader(this.t('accessibility.keysReset'));
+    }
+    
+    /**
+     * Loads the player profiles and the active profile from localStorage, then fills the header's
+     * profile switcher. Falls back to no profiles and a guest if nothing valid is saved.
+     */
+    loadProfiles() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+            this.profiles = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+            this.profiles = [];
+        }
+        
+        const savedId = localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY);
+        this.profileId = this.findProfile(savedId) ? savedId : null;
+        this.renderProfileOptions();
+    }
+    
+    /**
+     * Saves the player profiles to localStorage.
+     */
+    saveProfiles() {
+        try {
+            localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(this.profiles));
+        } catch (error) {
+            console.error('Error saving profiles:', error);
+        }
+    }
+    
+    /**
+     * Finds a profile by its ID.
+     * @param {string|null|undefined} id - The profile ID
+     * @returns {Profile|undefined} The profile, or undefined if there is none with that ID
+     */
+    findProfile(id) {
+        return this.profiles.find(profile => profile.id === id);
+    }
+    
+    /**
+     * Formats a profile as its avatar followed by its name.
+     * @param {Profile} profile - The profile
+     * @returns {string} The label, e.g. "🦊 Ann"
+     */
+    getProfileLabel(profile) {
+        return `${PROFILE_AVATARS[profile.avatar] || ''} ${profile.name}`.trim();
+    }
+    
+    /**
+     * Fills the header's profile switcher with "Guest" and every profile, and selects the active one.
+     */
+    renderProfileOptions() {
+        const select = this.getElement('profile-select');
+        select.innerHTML = '';
+        
+        const guest = document.createElement('option');
+        guest.value = '';
+        guest.textContent = this.t('profiles.guest');
+        select.appendChild(guest);
+        
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = this.getProfileLabel(profile);
+            select.appendChild(option);
+        });
+        select.value = this.profileId || '';
+    }
+    
+    /**
+     * Makes a profile the one playing and saves the choice to localStorage. Subject stats on the
+     * start screen switch to the profile's attempts.
+     * @param {string|null} id - ID of the profile, or null to play as a guest
+     */
+    setActiveProfile(id) {
+        const profile = this.findProfile(id) || null;
+        this.profileId = profile ? profile.id : null;
+        
+        if (profile) {
+            localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, profile.id);
+        } else {
+            localStorage.removeItem(ACTIVE_PROFILE_STORAGE_KEY);
+        }
+        
+        this.renderProfileOptions();
+        if (this.getElement('start-screen').classList.contains('screen-visible')) {
+            this.renderSubjects();
+        }
+        if (this.getElement('leaderboard-screen').classList.contains('screen-visible')) {
+            this.renderProfileList();
+        }
+        
+        this.announceToScreenReader(profile
+            ? this.t('profiles.switched', { name: profile.name })
+            : this.t('profiles.switchedGuest'));
+        this.emit('profilechange', { profile });
+    }
+    
+    /**
+     * Checks whether an attempt was played by the active profile, or by a guest while no profile is active.
+     * @param {QuizAttempt} attempt - The attempt to check
+     * @returns {boolean} Whether the attempt belongs to whoever is playing
+     */
+    isOwnAttempt(attempt) {
+        return (attempt.profile || null) === this.profileId;
+    }
+    
+    /**
+     * Picks the interface language: the saved choice, otherwise the first of the browser's
+     * preferred languages that is supported, otherwise the default locale.
+     * @returns {string} A key of SUPPORTED_LOCALES
+     */
+    getInitialLocale() {
+        const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+        if (saved && SUPPORTED_LOCALES[saved]) return saved;
+        
+        const preferred = (navigator.languages || [navigator.language])
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(language => SUPPORTED_LOCALES[language]);
+        return preferred || DEFAULT_LOCALE;
+    }
+    
+    /**
+     * Fetches the message catalog of a locale from the locales folder.
+     * @async
+     * @param {string} locale - A key of SUPPORTED_LOCALES
+     * @returns {Promise<Object>} The message catalog
+     * @throws {Error} If the fetch request fails or response is not ok
+     */
+    async fetchMessages(locale) {
+        const response = await fetch(`./locales/${locale}.json`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    /**
+     * Loads the message catalog of a locale, and the default locale's catalog used for missing messages.
+     * Falls back to the default locale if the catalog cannot be loaded.
+     * @async
+     * @param {string} locale - A key of SUPPORTED_LOCALES
+     * @throws {Error} If the default locale's catalog fails to load
+     */
+    async loadMessages(locale) {
+        if (Object.keys(this.fallbackMessages).length === 0) {
+            this.fallbackMessages = await this.fetchMessages(DEFAULT_LOCALE);
+        }
+        
+        this.locale = DEFAULT_LOCALE;
+        this.messages = this.fallbackMessages;
+        if (locale === DEFAULT_LOCALE) return;
+        
+        try {
+            this.messages = await this.fetchMessages(locale);
+            this.locale = locale;
+        } catch (error) {
+            console.error(`Error loading ${locale} messages:`, error);
+        }
+    }
+    
+    /**
+     * Translates a message key into the interface language.
+     * Plural messages are objects keyed by Intl.PluralRules category ("one", "other", ...) and are
+     * picked with params.count. Placeholders such as "{subject}" are replaced with params.subject.
+     * @param {string} key - Dot-separated path of the message in the catalog, e.g. "results.playAgain"
+     * @param {Object<string, string|number>} [params={}] - Values for the placeholders
+     * @returns {string} The translated message, or the key itself if no catalog has it
+     */
+    t(key, params = {}) {
+        let message = this.findMessage(this.messages, key) ?? this.findMessage(this.fallbackMessages, key) ?? key;
+        
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(this.locale).select(Number(params.count));
+            message = message[category] ?? message.other;
+        }
+        
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+    }
+    
+    /**
+     * Looks up a message in a catalog.
+     * @param {Object} catalog - The message catalog
+     * @param {string} key - Dot-separated path of the message
+     * @returns {string|Object<string, string>|undefined} The message or plural forms, or undefined if missing
+     */
+    findMessage(catalog, key) {
+        const message = key.split('.').reduce(
+            (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+            catalog
+        );
+        const isPlural = message && typeof message === 'object' && typeof message.other === 'string';
+        return typeof message === 'string' || isPlural ? message : undefined;
+    }
+    
+    /**
+     * Translates the static text of the page and its templates.
+     * Elements name their message in data-i18n (text, with an optional data-i18n-count for plurals)
+     * and data-i18n-attr ("attribute:key" pairs separated by ";").
+     * @param {Document|HTMLElement|DocumentFragment} [root=this.root] - The part of the app to translate
+     */
+    applyTranslations(root = this.root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const count = element.dataset.i18nCount;
+            element.textContent = this.t(element.dataset.i18n, count === undefined ? {} : { count: Number(count) });
+        });
+        
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(entry => {
+                const [attribute, key] = entry.split(':').map(part => part.trim());
+                element.setAttribute(attribute, this.t(key));
+            });
+        });
+        
+        if (root !== this.root) return;
+        
+        this.root.querySelectorAll('template').forEach(template => this.applyTranslations(template.content));
+        this.hostElement.lang = this.locale;
+        this.renderLanguageOptions();
+    }
+    
+    /**
+     * Fills the language switcher with the supported languages and selects the current one.
+     */
+    renderLanguageOptions() {
+        const select = this.getElement('language-select');
+        select.innerHTML = '';
+        
+        Object.entries(SUPPORTED_LOCALES).forEach(([locale, info]) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.lang = locale;
+            option.textContent = info.name;
+            select.appendChild(option);
+        });
+        select.value = this.locale;
+    }
+    
+    /**
+     * Switches the interface language and saves the choice to localStorage, loads the quizzes of
+     * the new language and redraws the current screen in it. An attempt in progress keeps the
+     * questions it started with.
+     * @async
+     * @param {string} locale - A key of SUPPORTED_LOCALES
+     */
+    async setLocale(locale) {
+        const previousData = this.getDataSource();
+        
+        try {
+            await this.loadMessages(locale);
+            localStorage.setItem(LOCALE_STORAGE_KEY, this.locale);
+            this.applyTranslations();
+            
+            if (this.getDataSource() !== previousData) {
+                await this.loadQuizzes();
+                this.loadImportedQuizzes();
+            }
+            this.refreshScreen();
+        } catch (error) {
+            console.error('Error changing language:', error);
+            this.showError(this.t('app.loadFailed'));
+            return;
+        }
+        
+        this.announceToScreenReader(this.t('app.languageChanged', { language: SUPPORTED_LOCALES[this.locale].name }));
+        this.emit('localechange', { locale: this.locale });
+    }
+    
+    /**
+     * Redraws the text that is filled in by script on the screen being shown, after a language change.
+     * The current question keeps its option labels until the next question, so the timers are not reset.
+     */
+    refreshScreen() {
+        const isVisible = id => this.getElement(id).classList.contains('screen-visible');
+        this.renderConnectionStatus();
+        this.renderProfileOptions();
+        
+        if (this.currentQuiz && this.getElement('subject-info').style.display !== 'none') {
+            this.updateSubjectHeader();
+        }
+        
+        if (isVisible('start-screen')) {
+            this.renderSubjects();
+            this.renderResumePrompt();
+            this.renderPlayerFields();
+        } else if (isVisible('quiz-screen')) {
+            const question = this.currentQuiz.questions[this.currentQuestionIndex];
+            this.renderQuestionHint(this.getQuestionType(question));
+            this.renderDifficultyBadge(question);
+            this.renderActivePlayer();
+            this.renderLivePanel();
+            this.getElement('next-btn').textContent = this.getNextButtonLabel();
+        } else if (isVisible('handover-screen')) {
+            this.renderHandover();
+        } else if (isVisible('results-screen')) {
+            const shared = Boolean(this.sharedResult);
+            this.setResultsView(shared);
+            this.getElement('results-subject-name').textContent = this.getDisplayTitle(this.getShownResult().subject);
+            if (shared) {
+                this.getElement('results-shared-date').textContent =
+                    this.t('results.finishedOn', { date: this.formatShareDate(this.sharedResult.date) });
+            } else {
+                this.renderResultsTime();
+                this.renderPracticeResults();
+                this.renderScoringResults();
+                this.renderProfileResult();
+                this.renderLeaderboard();
+            }
+        } else if (isVisible('review-screen')) {
+            this.renderReview();
+        } else if (isVisible('author-screen')) {
+            this.renderAuthorSourceOptions();
+            this.renderAuthor();
+        } else if (isVisible('setup-screen')) {
+            this.renderSetup();
+        } else if (isVisible('leaderboard-screen')) {
+            this.renderLeaderboardScreen();
+        } else if (isVisible('worksheet-screen')) {
+            this.renderWorksheetScreen();
+        } else if (isVisible('live-screen')) {
+            this.renderLiveScreen();
+        }
+    }
+    
+    /**
+     * Gets the title to show for a subject. Quizzes are shown under their title in the quiz data of
+     * the interface language, and practice and custom sessions under a translated title.
+     * @param {string} subject - The quiz key (see getQuizKey)
+     * @returns {string} The title to display
+     */
+    getDisplayTitle(subject) {
+        if (subject === PRACTICE_QUIZ.title) return this.t('practice.title');
+        if (subject === CUSTOM_QUIZ.title) return this.t('setup.quizTitle');
+        return this.findQuizBySubject(subject)?.title ?? subject;
+    }
+    
+    /**
+     * Gets the key a quiz's history, practice progress, saved session and colour are stored under:
+     * its ID, which is the same in every language, or its title if it has none.
+     * @param {Quiz} quiz - The quiz
+     * @returns {string} The quiz key
+     */
+    getQuizKey(quiz) {
+        return quiz.id || quiz.title;
+    }
+    
+    /**
+     * Gets the key a question's practice progress is stored under: its ID, or its text if it has none.
+     * @param {Question|AnswerRecord} question - The question, or the answer record of one
+     * @returns {string} The question key
+     */
+    getQuestionKey(question) {
+        return question.id || question.question;
+    }
+    
+    /**
+     * Loads finished quiz attempts from localStorage.
+     * Falls back to an empty history if nothing is saved or the saved value is corrupt.
+     */
+    loadHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+            this.history = Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading quiz history:', error);
+            this.history = [];
+        }
+    }
+    
+    /**
+     * Records the current attempt in the history and saves it to localStorage.
+     * Only the most recent MAX_HISTORY_ENTRIES attempts are kept.
+     */
+    saveAttempt() {
+        this.completedAt = Date.now();
+        
+        /** @type {QuizAttempt} */
+        const attempt = {
+            subject: this.getQuizKey(this.currentQuiz),
+            score: this.score,
+            total: this.currentQuiz.questions.length,
+            startedAt: this.startedAt,
+            completedAt: this.completedAt,
+            duration: this.getTimeTaken(),
+            mode: this.mode,
+            timeLimits: this.timeLimits,
+            seed: this.seed,
+            ...(this.scoring && { scoring: true, points: this.getScoringTotals().points }),
+            ...(this.profileId && { profile: this.profileId }),
+            answers: this.answers
+        };
+        
+        this.history.push(attempt);
+        this.saveHistory();
+    }
+    
+    /**
+     * Saves the history to localStorage, keeping only the most recent MAX_HISTORY_ENTRIES attempts.
+     */
+    saveHistory() {
+        this.history = this.history.slice(-MAX_HISTORY_ENTRIES);
+        
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(this.history));
+        } catch (error) {
+            console.error('Error saving quiz history:', error);
+        }
+    }
+    
+    /**
+     * Calculates best score, average, attempt count and trend for a subject, from the attempts of
+     * the active profile (or of guests when none is active).
+     * Retry attempts only cover missed questions, so they are left out.
+     * @param {string} subject - Key of the quiz to calculate stats for (see getQuizKey)
+     * @returns {SubjectStats|null} The stats, or null if the subject has no attempts
+     */
+    getSubjectStats(subject) {
+        const percentages = this.history
+            .filter(attempt => attempt.subject === subject && attempt.mode !== 'retry' && attempt.total > 0)
+            .filter(attempt => this.isOwnAttempt(attempt))
+            .map(attempt => Math.round((attempt.score / attempt.total) * 100));
+        
+        if (percentages.length === 0) return null;
+        
+        const sum = percentages.reduce((total, value) => total + value, 0);
+        
+        // Compare the latest attempt against the average of the ones before it
+        let trend = null;
+        if (percentages.length > 1) {
+            const latest = percentages[percentages.length - 1];
+            const earlier = percentages.slice(0, -1);
+            const earlierAverage = earlier.reduce((total, value) => total + value, 0) / earlier.length;
+            trend = latest > earlierAverage ? 'up' : latest < earlierAverage ? 'down' : 'flat';
+        }
+        
+        return {
+            attempts: percentages.length,
+            best: Math.max(...percentages),
+            average: Math.round(sum / percentages.length),
+            trend,
+            recent: percentages.slice(-RECENT_ATTEMPTS_SHOWN)
+        };
+    }
+    
+    /**
+     * Loads the spaced-repetition schedule from localStorage.
+     * Falls back to an empty schedule if nothing is saved or the saved value is corrupt.
+     */
+    loadReviewSchedule() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(REVIEW_STORAGE_KEY));
+            this.reviewSchedule = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            console.error('Error loading review schedule:', error);
+            this.reviewSchedule = {};
+        }
+    }
+    
+    /**
+     * Saves the spaced-repetition schedule to localStorage.
+     */
+    saveReviewSchedule() {
+        try {
+            localStorage.setItem(REVIEW_STORAGE_KEY, JSON.stringify(this.reviewSchedule));
+        } catch (error) {
+            console.error('Error saving review schedule:', error);
+        }
+    }
+    
+    /**
+     * Builds the schedule key of a question from the keys of its quiz and of the question, so the
+     * schedule survives reordering and shuffling, and with IDs a change of language.
+     * @param {string} subject - Key of the quiz the question belongs to (see getQuizKey)
+     * @param {Question|AnswerRecord} question - The question, or the answer record of one
+     * @returns {string} The schedule key
+     */
+    getReviewKey(subject, question) {
+        return `${subject}::${this.getQuestionKey(question)}`;
+    }
+    
+    /**
+     * Updates a question's schedule after it is answered, using SM-2.
+     * A correct answer pushes the next review out (1 day, 6 days, then the previous interval
+     * times the ease factor); a miss resets the question so it comes back in the next practice.
+     * @param {string} subject - Key of the quiz the question belongs to (see getQuizKey)
+     * @param {Question} question - The answered question
+     * @param {boolean} isCorrect - Whether the answer was correct
+     */
+    recordReview(subject, question, isCorrect) {
+        const key = this.getReviewKey(subject, question);
+        /** @type {ReviewItem} */
+        const item = this.reviewSchedule[key] || {
+            ease: INITIAL_EASE, interval: 0, repetitions: 0, due: 0, correct: 0, incorrect: 0
+        };
+        
+        // SM-2 grades answers 0-5; a plain right/wrong maps to "correct with effort" or "wrong"
+        const quality = isCorrect ? 4 : 1;
+        
+        if (isCorrect) {
+            item.interval = item.repetitions === 0 ? 1
+                : item.repetitions === 1 ? 6
+                : Math.round(item.interval * item.ease);
+            item.repetitions++;
+            item.correct++;
+        } else {
+            item.interval = 0;
+            item.repetitions = 0;
+            item.incorrect++;
+        }
+        
+        item.ease = Math.max(MIN_EASE, item.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        item.due = Date.now() + item.interval * DAY_MS;
+        
+        this.reviewSchedule[key] = item;
+        this.saveReviewSchedule();
+    }
+    
+    /**
+     * Picks the questions for a practice session from every subject.
+     * Questions that are due come first, most overdue first, followed by questions that have
+     * never been answered. Questions that are not due yet, including mastered ones, are left out.
+     * @returns {Array<Question>} Up to PRACTICE_SESSION_SIZE questions, each tagged with its subject
+     */
+    getPracticeQuestions() {
+        const now = Date.now();
+        const due = [];
+        const unseen = [];
+        
+        this.quizzes.forEach(quiz => {
+            const subject = this.getQuizKey(quiz);
+            quiz.questions.forEach(question => {
+                const item = this.reviewSchedule[this.getReviewKey(subject, question)];
+                const tagged = { ...question, subject };
+                
+                if (!item) {
+                    unseen.push(tagged);
+                } else if (item.due <= now) {
+                    due.push({ question: tagged, due: item.due });
+                }
+            });
+        });
+        
+        const picked = [
+            ...due.sort((a, b) => a.due - b.due).map(entry => entry.question),
+            ...shuffleArray(unseen, Math.random)
+        ].slice(0, PRACTICE_SESSION_SIZE);
+        
+        // Mix the subjects rather than grouping them by how overdue they are
+        return shuffleArray(picked, Math.random);
+    }
+    
+    /**
+     * Counts the questions that are due, never answered and mastered across every subject.
+     * @returns {{due: number, unseen: number, mastered: number}} The counts
+     */
+    getPracticeCounts() {
+        const now = Date.now();
+        const counts = { due: 0, unseen: 0, mastered: 0 };
+        
+        this.quizzes.forEach(quiz => {
+            quiz.questions.forEach(question => {
+                const item = this.reviewSchedule[this.getReviewKey(this.getQuizKey(quiz), question)];
+                if (!item) {
+                    counts.unseen++;
+                } else if (item.due <= now) {
+                    counts.due++;
+                } else if (item.interval >= MASTERED_INTERVAL) {
+                    counts.mastered++;
+                }
+            });
+        });
+        
+        return counts;
+    }
+    
+    /**
+     * Saves the in-progress attempt to localStorage so it can be resumed later.
+     * Called after every submitted answer; the saved index points at the next question.
+     */
+    saveSession() {
+        if (['preview', 'linked', 'live'].includes(this.mode)) return;
+        
+        /** @type {QuizSession} */
+        const session = {
+            subject: this.getQuizKey(this.currentQuiz),
+            mode: this.mode,
+            questions: this.currentQuiz.questions,
+            questionIndex: this.currentQuestionIndex + 1,
+            score: this.score,
+            startedAt: this.startedAt,
+            timeLimits: this.timeLimits,
+            totalRemaining: this.quizDeadline ? Math.max(this.quizDeadline - Date.now(), 0) : null,
+            seed: this.seed,
+            scoring: this.scoring,
+            answers: this.answers,
+            ...(this.players.length > 0 && { playerMode: this.playerMode, players: this.players })
+        };
+        
+        try {
+            localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+        } catch (error) {
+            console.error('Error saving quiz session:', error);
+        }
+    }
+    
+    /**
+     * Loads the saved in-progress session from localStorage.
+     * Sessions whose quiz no longer exists are ignored.
+     * @returns {QuizSession|null} The saved session, or null if there is none
+     */
+    loadSession() {
+        try {
+            /** @type {QuizSession|null} */
+            const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+            if (!session || !this.findQuizBySubject(session.subject)) {
+                return null;
+            }
+            return session;
+        } catch (error) {
+            console.error('Error loading quiz session:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Removes the saved in-progress session from localStorage.
+     */
+    clearSession() {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+    
+    /**
+     * Shows or hides the resume prompt on the start screen depending on whether a session is saved.
+     */
+    renderResumePrompt() {
+        const prompt = this.getElement('resume-prompt');
+        const session = this.loadSession();
+        
+        prompt.hidden = !session;
+        if (!session) return;
+        
+        if (session.players && session.players.length > 0) {
+            this.getElement('resume-btn').textContent = this.t('start.resumeGame', {
+                subject: this.getDisplayTitle(session.subject),
+                players: session.players.map(player => player.name).join(', ')
+            });
+            return;
+        }
+        
+        const total = session.questions.length;
+        const questionNumber = Math.min(session.questionIndex + 1, total);
+        this.getElement('resume-btn').textContent = this.t('start.resumeSubject', {
+            subject: this.getDisplayTitle(session.subject),
+            number: questionNumber,
+            total
+        });
+    }
+    
+    /**
+     * Restores the saved session and continues the quiz at the next unanswered question.
+     * Shows the results straight away if every question had already been answered.
+     * A pass-and-play game continues with a handover to the player whose turn is next.
+     */
+    resumeSession() {
+        const session = this.loadSession();
+        if (!session) return;
+        
+        const quiz = this.findQuizBySubject(session.subject);
+        
+        // The saved questions already have the order the attempt was played in
+        this.currentQuiz = { ...quiz, questions: session.questions };
+        this.sourceQuiz = this.currentQuiz;
+        this.shuffle = { questions: false, options: false, seed: null };
+        this.seed = session.seed || null;
+        this.mode = session.mode;
+        this.currentQuestionIndex = session.questionIndex;
+        this.score = session.score;
+        this.startedAt = session.startedAt;
+        this.timeLimits = session.timeLimits || { question: null, total: null };
+        this.scoring = Boolean(session.scoring);
+        this.quizDeadline = session.totalRemaining != null ? Date.now() + session.totalRemaining : null;
+        this.answers = session.answers;
+        this.players = session.players || [];
+        this.playerMode = session.playerMode || null;
+        this.selectedAnswer = null;
+        this.answered = false;
+        
+        if (this.players.length > 0) {
+            this.resumeGame();
+            return;
+        }
+        
+        if (this.currentQuestionIndex >= this.currentQuiz.questions.length) {
+            this.updateSubjectHeader();
+            this.completeQuiz();
+        } else {
+            this.emitQuizStart(true);
+            this.startQuiz();
+        }
+    }
+    
+    /**
+     * Discards the saved session and hides the resume prompt.
+     */
+    discardSession() {
+        this.clearSession();
+        this.renderResumePrompt();
+        this.announceToScreenReader(this.t('start.discarded'));
+    }
+    
+    /**
+     * Renders the start screen with subject selection.
+     * Hides all other screens and shows the start screen with subject cards.
+     */
+    renderStartScreen() {
+        this.hideAllScreens();
+        const startScreen = this.getElement('start-screen');
+        startScreen.classList.remove('screen-hidden');
+        startScreen.classList.add('screen-visible');
+        this.getElement('subject-info').style.display = 'none';
+        this.currentRoute = '/';
+        
+        this.renderSubjects();
+        this.renderResumePrompt();
+        this.renderImportControls();
+        this.renderPlayerFields();
+        this.addAnimation('start-screen', 'fade-in');
+    }
+    
+    /**
+     * Renders all available subject cards in the subjects grid.
+     * Clears the grid and populates it with subject cards for each quiz.
+     */
+    renderSubjects() {
+        const subjectsGrid = this.getElement('subjects-grid');
+        subjectsGrid.innerHTML = '';
+        
+        this.quizzes.forEach((quiz, index) => {
+            const subjectCard = this.createSubjectCard(quiz, index);
+            subjectsGrid.appendChild(subjectCard);
+        });
+        
+        if (this.quizzes.length > 0) {
+            subjectsGrid.appendChild(this.createPracticeCard());
+        }
+        
+        this.renderSubjectColors();
+    }
+    
+    /**
+     * Creates the practice card shown after the subject cards.
+     * It lists how many questions are due, new and mastered, and is disabled when nothing is due or new.
+     * @returns {HTMLElement} The created practice card element
+     */
+    createPracticeCard() {
+        const counts = this.getPracticeCounts();
+        const available = counts.due + counts.unseen;
+        const summary = this.t('practice.counts', counts);
+        
+        const card = document.createElement('div');
+        card.className = 'subject-card practice-card start';
+        card.setAttribute('role', 'button');
+        card.setAttribute('tabindex', '0');
+        card.setAttribute('aria-label', available > 0
+            ? this.t('practice.start', { counts: summary })
+            : this.t('practice.nothingDueLabel', { mastered: counts.mastered }));
+        card.setAttribute('aria-disabled', String(available === 0));
+        
+        const clone = this.getElement('subjectTemplate').content.cloneNode(true);
+        const img = clone.querySelector('img');
+        this.setSubjectIcon(clone.querySelector('.subject-icon'), PRACTICE_QUIZ.title);
+        img.src = PRACTICE_QUIZ.icon;
+        img.alt = this.t('app.subjectIcon', { subject: this.t('practice.title') });
+        clone.querySelector('.subject-card-title').textContent = this.t('practice.title');
+        
+        const note = clone.querySelector('.subject-note');
+        note.hidden = false;
+        note.textContent = available > 0 ? summary : this.t('practice.caughtUp', { mastered: counts.mastered });
+        card.appendChild(clone);
+        
+        card.addEventListener('click', () => this.startPractice());
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.startPractice();
+            }
+        });
+        
+        return card;
+    }
+    
+    /**
+     * Creates a subject card element for the given quiz.
+     * @param {Quiz} quiz - The quiz object to create a card for
+     * @param {number} index - The index of the quiz in the quizzes array
+     * @returns {HTMLElement} The created subject card element
+     */
+    createSubjectCard(quiz, index) {
+        const card = document.createElement('div');
+        card.className = 'subject-card start';
+        card.setAttribute('role', 'button');
+        card.setAttribute('tabindex', '0');
+        card.setAttribute('aria-label', this.t('start.startSubject', { subject: quiz.title }));
+
+        const template = this.getElement('subjectTemplate');
+  
+        // Clone its content
+        const clone = template.content.cloneNode(true);
+      
+        // Query elements within the clone
+        const iconDiv = clone.querySelector('.subject-icon');
+        const img = clone.querySelector('img');
+        const titleHeading = clone.querySelector('.subject-card-title');
+      
+        // Set dynamic values
+        this.setSubjectIcon(iconDiv, this.getQuizKey(quiz));
+        img.src = quiz.icon;
+        img.alt = this.t('app.subjectIcon', { subject: quiz.title });
+        titleHeading.textContent = quiz.title;
+        
+        const stats = this.getSubjectStats(this.getQuizKey(quiz));
+        if (stats) {
+            this.renderSubjectStats(clone.querySelector('.subject-stats'), stats);
+            card.setAttribute('aria-label', this.t('start.startSubjectWithStats', {
+                subject: quiz.title,
+                stats: this.describeSubjectStats(stats)
+            }));
+        }
+      
+        // Append to desired container (e.g., body or a specific element)
+        card.appendChild(clone);
+        
+        card.addEventListener('click', () => this.selectSubject(index));
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.selectSubject(index);
+            }
+        });
+        
+        return card;
+    }
+    
+    /**
+     * Fills a subject card's stats element with best, average, attempts and a trend sparkline.
+     * @param {HTMLElement} statsElement - The stats container inside the subject card
+     * @param {SubjectStats} stats - The stats to display
+     */
+    renderSubjectStats(statsElement, stats) {
+        const trendSymbols = { up: '↑', down: '↓', flat: '→' };
+        
+        statsElement.hidden = false;
+        statsElement.querySelector('.stat-best').textContent = `${stats.best}%`;
+        statsElement.querySelector('.stat-average').textContent = `${stats.average}%`;
+        statsElement.querySelector('.stat-attempts').textContent = stats.attempts;
+        
+        const trend = statsElement.querySelector('.stat-trend');
+        trend.textContent = stats.trend ? trendSymbols[stats.trend] : '';
+        trend.setAttribute('data-trend', stats.trend || '');
+        
+        const sparkline = statsElement.querySelector('.stat-sparkline');
+        stats.recent.forEach(percentage => {
+            const bar = document.createElement('span');
+            bar.className = 'sparkline-bar';
+            bar.style.blockSize = `${Math.max(percentage, 5)}%`;
+            sparkline.appendChild(bar);
+        });
+    }
+    
+    /**
+     * Builds a screen reader description of a subject's stats.
+     * @param {SubjectStats} stats - The stats to describe
+     * @returns {string} The description
+     */
+    describeSubjectStats(stats) {
+        const params = {
+            best: stats.best,
+            average: stats.average,
+            attempts: this.t('stats.attempts', { count: stats.attempts })
+        };
+        if (stats.trend) {
+            return this.t('stats.summaryWithTrend', { ...params, trend: this.t(`stats.trends.${stats.trend}`) });
+        }
+        return this.t('stats.summary', params);
+    }
+    
+    /**
+     * Selects a quiz and starts it.
+     * Resets the quiz state and begins the quiz with the selected subject.
+     * @param {number} quizIndex - The index of the quiz to select
+     */
+    selectSubject(quizIndex) {
+        this.sourceQuiz = this.quizzes[quizIndex];
+        this.mode = 'standard';
+        this.timeLimits = this.readTimeLimits();
+        this.shuffle = this.readShuffleSettings();
+        this.scoring = this.readScoringSetting();
+        this.players = this.readPlayers();
+        this.playerMode = this.readPlayerMode();
+        this.restartQuiz();
+    }
+    
+    /**
+     * Opens the question of a subject that a link points at, so people can send each other a
+     * question. The quiz is played in its own order from there on, without timers or scoring, and
+     * nothing is saved, since an attempt that skips questions would skew the history and stats.
+     * @param {number} quizIndex - The index of the quiz
+     * @param {number} questionIndex - Index of the linked question
+     */
+    openLinkedQuestion(quizIndex, questionIndex) {
+        this.sourceQuiz = this.quizzes[quizIndex];
+        this.mode = 'linked';
+        this.timeLimits = { question: null, total: null };
+        this.shuffle = { questions: false, options: false, seed: null };
+        this.scoring = false;
+        this.players = [];
+        this.playerMode = null;
+        this.restartQuiz(questionIndex);
+    }
+    
+    /**
+     * Starts a practice session with the questions that are due across every subject.
+     * Timed mode and shuffle settings from the start screen apply as for a subject.
+     * @returns {boolean} Whether a session was started
+     */
+    startPractice() {
+        const questions = this.getPracticeQuestions();
+        if (questions.length === 0) {
+            this.announceToScreenReader(this.t('practice.nothingDue'));
+            return false;
+        }
+        
+        this.sourceQuiz = { ...PRACTICE_QUIZ, questions };
+        this.mode = 'practice';
+        this.timeLimits = this.readTimeLimits();
+        this.shuffle = this.readShuffleSettings();
+        this.scoring = this.readScoringSetting();
+        // The review schedule belongs to one person, so practice is never a pass-and-play game
+        this.players = [];
+        this.playerMode = null;
+        this.restartQuiz();
+        return true;
+    }
+    
+    /**
+     * Shows the custom quiz setup screen, where subjects, difficulties, tags and the number of
+     * questions are picked before the session starts.
+     */
+    showSetupScreen() {
+        this.clearTimers();
+        this.hideAllScreens();
+        const setupScreen = this.getElement('setup-screen');
+        setupScreen.classList.remove('screen-hidden');
+        setupScreen.classList.add('screen-visible');
+        this.getElement('subject-info').style.display = 'none';
+        this.setRoute('/custom');
+        
+        this.renderSetup();
+        this.addAnimation('setup-screen', 'fade-in');
+        
+        setTimeout(() => {
+            this.getElement('setup-heading').focus();
+        }, 100);
+    }
+    
+    /**
+     * Fills the setup screen with the subjects and tags available and the choices made last time.
+     * Every subject is picked by default.
+     */
+    renderSetup() {
+        const settings = this.customSettings || {
+            subjects: this.quizzes.map(quiz => this.getQuizKey(quiz)),
+            difficulties: [],
+            tags: [],
+            count: CUSTOM_SESSION_SIZE
+        };
+        
+        const subjectList = this.getElement('setup-subject-list');
+        subjectList.innerHTML = '';
+        this.quizzes.forEach(quiz => {
+            const subject = this.getQuizKey(quiz);
+            subjectList.appendChild(this.createSetupCheckbox('setup-subject', subject, quiz.title,
+                settings.subjects.includes(subject)));
+        });
+        
+        this.root.querySelectorAll('#setup-screen [name="setup-difficulty"]').forEach(input => {
+            input.checked = settings.difficulties.includes(input.value);
+        });
+        this.getElement('setup-count').value = settings.count;
+        
+        this.renderSetupTags(settings.tags);
+        this.updateSetupSummary();
+    }
+    
+    /**
+     * Lists the tags used by the picked subjects' questions as checkboxes.
+     * @param {Array<string>} selected - Tags to check; ones the picked subjects don't use are dropped
+     */
+    renderSetupTags(selected) {
+        const tags = this.getCustomTags(this.readCustomSettings().subjects);
+        const tagList = this.getElement('setup-tag-list');
+        
+        tagList.innerHTML = '';
+        tags.forEach(tag => {
+            tagList.appendChild(this.createSetupCheckbox('setup-tag', tag, tag, selected.includes(tag)));
+        });
+        this.getElement('setup-no-tags').hidden = tags.length > 0;
+    }
+    
+    /**
+     * Creates a labelled checkbox for the setup screen.
+     * @param {string} name - The checkbox name, which groups the choices
+     * @param {string} value - The value the checkbox stands for
+     * @param {string} text - The label text
+     * @param {boolean} checked - Whether the checkbox starts checked
+     * @returns {HTMLElement} The label containing the checkbox
+     */
+    createSetupCheckbox(name, value, text, checked) {
+        const label = document.createElement('label');
+        label.className = 'quiz-option start';
+        
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.name = name;
+        input.value = value;
+        input.checked = checked;
+        
+        const span = document.createElement('span');
+        span.textContent = text;
+        
+        label.append(input, span);
+        return label;
+    }
+    
+    /**
+     * Reads the choices made on the setup screen.
+     * @returns {CustomQuizSettings} The chosen settings
+     */
+    readCustomSettings() {
+        const checked = name => [...this.root.querySelectorAll(`#setup-screen [name="${name}"]:checked`)]
+            .map(input => input.value);
+        const count = parseInt(this.getElement('setup-count').value, 10);
+        
+        return {
+            subjects: checked('setup-subject'),
+            difficulties: checked('setup-difficulty'),
+            tags: checked('setup-tag'),
+            count: count > 0 ? count : CUSTOM_SESSION_SIZE
+        };
+    }
+    
+    /**
+     * Remembers the setup screen choices as they change and updates the number of matching questions.
+     * Picking other subjects also updates the tags to choose from.
+     * @param {Event} e - The change event
+     */
+    handleSetupChange(e) {
+        if (e.target.name === 'setup-subject') {
+            this.renderSetupTags(this.readCustomSettings().tags);
+        }
+        
+        this.customSettings = this.readCustomSettings();
+        this.updateSetupSummary();
+    }
+    
+    /**
+     * Shows how many questions match the setup screen choices, limits the question count to that
+     * number, and disables the start button when nothing matches.
+     */
+    updateSetupSummary() {
+        const available = this.getCustomQuestions(this.readCustomSettings()).length;
+        
+        this.getElement('setup-summary').textContent = available > 0
+            ? this.t('setup.matching', { count: available })
+            : this.t('setup.noMatches');
+        this.getElement('setup-count').max = String(Math.max(available, 1));
+        this.getElement('setup-start-btn').disabled = available === 0;
+    }
+    
+    /**
+     * Collects the tags used by the questions of some subjects.
+     * @param {Array<string>} subjects - Keys of the quizzes to look in (see getQuizKey)
+     * @returns {Array<string>} The tags, sorted alphabetically
+     */
+    getCustomTags(subjects) {
+        const tags = new Set();
+        
+        this.quizzes
+            .filter(quiz => subjects.includes(this.getQuizKey(quiz)))
+            .forEach(quiz => quiz.questions.forEach(question => {
+                (question.tags || []).forEach(tag => tags.add(tag));
+            }));
+        
+        return [...tags].sort((a, b) => a.localeCompare(b, this.locale));
+    }
+    
+    /**
+     * Finds the questions matching custom quiz settings. A question without a difficulty or tags
+     * only matches when no difficulty or tag is picked.
+     * @param {CustomQuizSettings} settings - The settings to match
+     * @returns {Array<Question>} The matching questions in subject order, each tagged with its subject
+     */
+    getCustomQuestions(settings) {
+        return this.quizzes
+            .filter(quiz => settings.subjects.includes(this.getQuizKey(quiz)))
+            .flatMap(quiz => quiz.questions
+                .filter(question => settings.difficulties.length === 0
+                    || settings.difficulties.includes(question.difficulty))
+                .filter(question => settings.tags.length === 0
+                    || (question.tags || []).some(tag => settings.tags.includes(tag)))
+                .map(question => ({ ...question, subject: this.getQuizKey(quiz) })));
+    }
+    
+    /**
+     * Starts a custom session with questions drawn at random from those matching the setup screen.
+     * The drawn questions keep their subjects' order, so the shuffle settings decide the order
+     * they are played in; timed mode applies as for a subject.
+     * @returns {boolean} Whether a session was started
+     */
+    startCustomQuiz() {
+        const settings = this.readCustomSettings();
+        const matching = this.getCustomQuestions(settings);
+        if (matching.length === 0) {
+            this.announceToScreenReader(this.t('setup.noMatches'));
+            return false;
+        }
+        
+        const drawn = new Set(shuffleArray(matching, Math.random).slice(0, settings.count));
+        this.customSettings = settings;
+        this.sourceQuiz = { ...CUSTOM_QUIZ, questions: matching.filter(question => drawn.has(question)) };
+        this.mode = 'custom';
+        this.timeLimits = this.readTimeLimits();
+        this.shuffle = this.readShuffleSettings();
+        this.scoring = this.readScoringSetting();
+        this.players = this.readPlayers();
+        this.playerMode = this.readPlayerMode();
+        this.restartQuiz();
+        return true;
+    }
+    
+    /**
+     * Plays the current quiz again from the results screen.
+     * Practice sessions pick a fresh set of due questions instead of repeating the same ones.
+     */
+    playAgain() {
+        if (this.sharedResult) {
+            this.takeSharedQuiz();
+        } else if (this.mode === 'practice') {
+            this.startPractice();
+        } else {
+            this.restartQuiz();
+        }
+    }
+    
+    /**
+     * Reads the shuffle settings chosen on the start screen.
+     * @returns {ShuffleSettings} The selected shuffle settings
+     */
+    readShuffleSettings() {
+        const seed = this.getElement('seed-input').value.trim();
+        
+        return {
+            questions: this.getElement('shuffle-questions').checked,
+            options: this.getElement('shuffle-options').checked,
+            seed: seed || null
+        };
+    }
+    
+    /**
+     * Pre-fills the shuffle settings from a `?seed=` URL parameter so shared links
+     * give everyone the same question and option order.
+     */
+    loadSeedFromUrl() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        if (!seed) return;
+        
+        this.getElement('seed-input').value = seed;
+        this.getElement('shuffle-questions').checked = true;
+        this.getElement('shuffle-options').checked = true;
+    }
+    
+    /**
+     * Returns a copy of the quiz with questions and/or options shuffled per the current settings.
+     * Questions are shuffled first, then each question's options, all from one seeded sequence.
+     * Option text is kept as-is, so correctness checks against `answer` are unaffected.
+     * @param {Quiz} quiz - The quiz to shuffle
+     * @returns {Quiz} The shuffled quiz, or the same quiz if shuffling is off
+     */
+    shuffleQuiz(quiz) {
+        if (!this.shuffle.questions && !this.shuffle.options) {
+            this.seed = null;
+            return quiz;
+        }
+        
+        this.seed = this.shuffle.seed || Math.random().toString(36).slice(2, 8);
+        const random = createSeededRandom(this.seed);
+        
+        let questions = this.shuffle.questions ? shuffleArray(quiz.questions, random) : quiz.questions;
+        if (this.shuffle.options) {
+            // True/false order is conventional, and free-text questions have no options
+            questions = questions.map(question => (
+                ['single', 'multiple'].includes(this.getQuestionType(question))
+                    ? { ...question, options: shuffleArray(question.options, random) }
+                    : question
+            ));
+        }
+        
+        return { ...quiz, questions };
+    }
+    
+    /**
+     * Reads the timed mode settings chosen on the start screen.
+     * @returns {TimeLimits} The selected time limits
+     */
+    readTimeLimits() {
+        const questionSeconds = parseInt(this.getElement('question-time-select').value, 10);
+        const totalSeconds = parseInt(this.getElement('total-time-select').value, 10);
+        
+        return {
+            question: questionSeconds > 0 ? questionSeconds : null,
+            total: totalSeconds > 0 ? totalSeconds : null
+        };
+    }
+    
+    /**
+     * Reads whether scoring is turned on on the start screen.
+     * @returns {boolean} Whether attempts award points and streaks and ask for confidence ratings
+     */
+    readScoringSetting() {
+        return this.getElement('scoring-toggle').checked;
+    }
+    
+    /**
+     * Reads whether one person plays or a group passes the device around, as chosen on the start screen.
+     * @returns {PlayerMode|null} How a pass-and-play game hands over, or null when one person plays
+     */
+    readPlayerMode() {
+        const value = this.getElement('player-mode-select').value;
+        return ['turns', 'runs'].includes(value) ? value : null;
+    }
+    
+    /**
+     * Reads the player names entered on the start screen. Players left unnamed are called "Player <n>".
+     * @returns {Array<Player>} The players of a pass-and-play game, or an empty array when one person plays
+     */
+    readPlayers() {
+        if (!this.readPlayerMode()) return [];
+        
+        return [...this.root.querySelectorAll('#player-list input')].map((input, index) => ({
+            name: input.value.trim() || this.t('players.playerNumber', { number: index + 1 }),
+            answers: []
+        }));
+    }
+    
+    /**
+     * Shows the player name fields on the start screen while a pass-and-play mode is picked, adding
+     * fields up to MIN_PLAYERS, and numbers them.
+     */
+    renderPlayerFields() {
+        const list = this.getElement('player-list');
+        const isGame = Boolean(this.readPlayerMode());
+        
+        while (isGame && list.children.length < MIN_PLAYERS) {
+            list.appendChild(this.createPlayerField());
+        }
+        list.hidden = !isGame;
+        
+        [...list.children].forEach((field, index) => {
+            const number = index + 1;
+            const input = field.querySelector('input');
+            const removeButton = field.querySelector('.remove-player-btn');
+            input.id = `player-name-${number}`;
+            input.placeholder = this.t('players.namePlaceholder');
+            field.querySelector('label').htmlFor = input.id;
+            field.querySelector('label').textContent = this.t('players.playerNumber', { number });
+            removeButton.disabled = list.children.length <= MIN_PLAYERS;
+            removeButton.setAttribute('aria-label', this.t('players.remove', { number }));
+        });
+        
+        const addButton = this.getElement('add-player-btn');
+        addButton.hidden = !isGame;
+        addButton.disabled = list.children.length >= MAX_PLAYERS;
+    }
+    
+    /**
+     * Creates a name field for one player on the start screen. renderPlayerFields() labels it.
+     * @returns {HTMLElement} The list item holding the label, name input and remove button
+     */
+    createPlayerField() {
+        const field = document.createElement('li');
+        field.className = 'quiz-option player-field between';
+        
+        const label = document.createElement('label');
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = MAX_PLAYER_NAME_LENGTH;
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'remove-player-btn center';
+        removeButton.textContent = '×';
+        
+        field.append(label, input, removeButton);
+        return field;
+    }
+    
+    /**
+     * Adds a name field for another player, up to MAX_PLAYERS, and focuses it.
+     */
+    addPlayerField() {
+        const list = this.getElement('player-list');
+        if (list.children.length >= MAX_PLAYERS) return;
+        
+        const field = this.createPlayerField();
+        list.appendChild(field);
+        this.renderPlayerFields();
+        field.querySelector('input').focus();
+    }
+    
+    /**
+     * Removes a player's name field, keeping at least MIN_PLAYERS.
+     * @param {HTMLElement} field - The list item of the player to remove
+     */
+    removePlayerField(field) {
+        const list = this.getElement('player-list');
+        if (list.children.length <= MIN_PLAYERS) return;
+        
+        field.remove();
+        this.renderPlayerFields();
+        this.getElement('add-player-btn').focus();
+        this.announceToScreenReader(this.t('players.removed'));
+    }
+    
+    /**
+     * Resets the attempt state and starts the current quiz.
+     * Used when a subject is selected and by the "Play Again" button, which reshuffles
+     * the source quiz (a fixed seed gives the same order again). A pass-and-play game starts
+     * with every player's answers cleared and a handover to the first player.
+     * @param {number} [startIndex=0] - Index of the first question to show, for previews and linked
+     *     questions; pass-and-play games always start at the first question
+     */
+    restartQuiz(startIndex = 0) {
+        this.currentQuiz = this.shuffleQuiz(this.sourceQuiz);
+        this.currentQuestionIndex = startIndex;
+        this.score = 0;
+        this.selectedAnswer = null;
+        this.answered = false;
+        this.startedAt = Date.now();
+        this.answers = [];
+        this.quizDeadline = this.timeLimits.total ? Date.now() + this.timeLimits.total * 1000 : null;
+        this.players = this.players.map(player => ({ ...player, answers: [] }));
+        
+        // Previews and linked questions leave the saved session alone and are not attempts host pages hear about
+        if (this.mode !== 'preview' && this.mode !== 'linked') {
+            this.clearSession();
+            this.emitQuizStart(false);
+        }
+        if (this.players.length > 0) {
+            this.setActivePlayer(0);
+            this.showHandover();
+        } else {
+            this.startQuiz();
+        }
+    }
+    
+    /**
+     * Dispatches the quizstart event for the current attempt.
+     * @param {boolean} resumed - Whether a saved attempt is being resumed
+     */
+    emitQuizStart(resumed) {
+        this.emit('quizstart', {
+            subject: this.currentQuiz.title,
+            quizId: this.currentQuiz.id || null,
+            mode: this.mode,
+            total: this.currentQuiz.questions.length,
+            resumed,
+            players: this.players.map(player => player.name)
+        });
+    }
+    
+    /**
+     * Starts the selected quiz.
+     * Shows the quiz screen, updates the header with subject info, and renders the first question.
+     */
+    startQuiz() {
+        this.hideAllScreens();
+        const quizScreen = this.getElement('quiz-screen');
+        quizScreen.classList.remove('screen-hidden');
+        quizScreen.classList.add('screen-visible');
+        
+        // Previews belong to the editor and live sessions to the live screen, and keep their routes
+        if (this.mode !== 'preview' && this.mode !== 'live') {
+            this.setRoute(this.getQuizRoute());
+        }
+        
+        this.getElement('exit-preview-btn').hidden = this.mode !== 'preview';
+        this.getElement('linked-notice').hidden = this.mode !== 'linked';
+        this.renderQuestion();
+        this.addAnimation('quiz-screen', 'slide-in');
+    }
+    
+    /**
+     * Shows the header subject info (icon and title) for the current quiz.
+     * Sessions that mix subjects keep their own title and show the current question's subject
+     * next to it, with that subject's icon.
+     */
+    updateSubjectHeader() {
+        this.getElement('subject-info').style.display = 'flex';
+        
+        const question = this.currentQuiz.questions[this.currentQuestionIndex];
+        const questionSubject = question && question.subject ? question.subject : null;
+        const iconQuiz = (questionSubject && this.findQuizBySubject(questionSubject)) || this.currentQuiz;
+        
+        const subjectIcon = this.root.querySelector('.subject-info .subject-icon');
+        const subjectIconImg = this.getElement('subject-icon-img');
+        const subjectDetail = this.getElement('subject-detail');
+        
+        this.setSubjectIcon(subjectIcon, this.getQuizKey(iconQuiz));
+        subjectIconImg.src = iconQuiz.icon;
+        subjectIconImg.alt = this.t('app.subjectIcon', { subject: this.getDisplayTitle(this.getQuizKey(iconQuiz)) });
+        this.getElement('subject-title').textContent = this.getDisplayTitle(this.getQuizKey(this.currentQuiz));
+        subjectDetail.hidden = !questionSubject;
+        subjectDetail.textContent = questionSubject ? this.getDisplayTitle(questionSubject) : '';
+    }
+    
+    /**
+     * Renders the current question with its options.
+     * Updates the question counter, progress bar, question text, and renders answer options.
+     */
+    renderQuestion() {
+        const question = this.currentQuiz.questions[this.currentQuestionIndex];
+        
+        // Moving between questions replaces the route so Back returns to the previous screen
+        if (this.mode !== 'preview' && this.mode !== 'live') {
+            this.setRoute(this.getQuizRoute(), true);
+        }
+        
+        this.updateSubjectHeader();
+        this.renderDifficultyBadge(question);
+        this.renderActivePlayer();
+        this.renderScoreboard();
+        this.resetConfidenceRating();
+        
+        // Update question counter and progress
+        this.getElement('question-number').textContent = this.currentQuestionIndex + 1;
+        this.getElement('question-total').textContent = this.currentQuiz.questions.length;
+        
+        const progressPercentage = ((this.currentQuestionIndex + 1) / this.currentQuiz.questions.length) * 100;
+        this.getElement('progress-fill').style.width = `${progressPercentage}%`;
+        
+        // Question markup is built from text nodes, so HTML in the question shows as text
+        this.getElement('question-text').replaceChildren(renderMarkup(question.question));
+        
+        // Render options
+        this.renderOptions(question);
+        
+        // Reset state
+        this.selectedAnswer = null;
+        this.selectedOptions = [];
+        this.answered = false;
+        this.getElement('submit-btn').disabled = true;
+        this.getElement('submit-btn').hidden = false;
+        this.getElement('next-btn').hidden = true;
+        this.getElement('explanation-panel').hidden = true;
+        
+        // The presenter shows each question to the participants as it comes up
+        if (this.isPresenting()) {
+            this.live.revealed = false;
+            this.sendLiveQuestion();
+        }
+        this.renderLivePanel();
+        
+        this.startQuestionTimer();
+        this.announceQuestion(question);
+        this.emit('questionchange', {
+            subject: this.currentQuiz.title,
+            quizId: this.currentQuiz.id || null,
+            questionId: question.id || null,
+            mode: this.mode,
+            index: this.currentQuestionIndex,
+            total: this.currentQuiz.questions.length,
+            question: question.question,
+            player: this.getActivePlayerName()
+        });
+        
+        // Focus first option (or the answer field) for accessibility
+        setTimeout(() => {
+            const firstOption = this.root.querySelector('#options-grid :is(.option-card, .free-text-input)');
+            if (firstOption) firstOption.focus();
+        }, 100);
+    }
+    
+    /**
+     * Reads a new question and its options aloud when the announcements are set to 'verbose'.
+     * @param {Question} question - The question being shown
+     */
+    announceQuestion(question) {
+        if (!this.isAnnounced('verbose')) return;
+        
+        const type = this.getQuestionType(question);
+        const options = type === 'text' ? [] : this.getQuestionOptions(question)
+            .map((option, index) => this.t('quiz.option', { letter: this.getOptionLetter(index), text: toPlainText(option) }));
+        
+        this.announceTurn([
+            this.t('quiz.readQuestion', {
+                number: this.currentQuestionIndex + 1,
+                total: this.currentQuiz.questions.length,
+                question: toPlainText(question.question)
+            }),
+            type === 'single' ? '' : this.t(`quiz.hints.${type}`),
+            ...options
+        ].filter(Boolean).join(' '), 'verbose');
+    }
+    
+    /**
+     * Shows the difficulty of a question as a badge above it, or hides the badge if it has none.
+     * @param {Question} question - The question being shown
+     */
+    renderDifficultyBadge(question) {
+        const badge = this.getElement('difficulty-badge');
+        const level = DIFFICULTY_LEVELS.includes(question.difficulty) ? question.difficulty : null;
+        
+        badge.hidden = !level;
+        badge.dataset.difficulty = level || '';
+        badge.querySelector('.difficulty-level').textContent = level ? this.t(`difficulty.${level}`) : '';
+    }
+    
+    /**
+     * Starts timing the current question and, in timed mode, its countdowns.
+     * Clears any countdown or pending auto-advance left over from the previous question.
+     */
+    startQuestionTimer() {
+        this.clearTimers();
+        
+        this.questionStartedAt = Date.now();
+        this.questionDeadline = this.timeLimits.question ? Date.now() + this.timeLimits.question * 1000 : null;
+        this.timeWarningAnnounced = false;
+        
+        if (this.questionDeadline || this.quizDeadline) {
+            this.timerInterval = setInterval(() => this.tickTimers(), TIMER_TICK);
+        }
+        
+        this.renderTimers();
+    }
+    
+    /**
+     * Stops the countdown and cancels any pending auto-advance.
+     */
+    clearTimers() {
+        clearInterval(this.timerInterval);
+        clearTimeout(this.advanceTimeout);
+        this.timerInterval = null;
+        this.advanceTimeout = null;
+    }
+    
+    /**
+     * Checks both countdowns and expires the quiz or question when their time is up.
+     * The whole-quiz limit is checked first so it always wins over the question limit.
+     */
+    tickTimers() {
+        const now = Date.now();
+        
+        if (this.quizDeadline && now >= this.quizDeadline) {
+            this.expireQuiz();
+            return;
+        }
+        
+        if (this.questionDeadline && now >= this.questionDeadline) {
+            this.expireQuestion();
+        }
+        
+        this.renderTimers();
+    }
+    
+    /**
+     * Updates the countdown displays next to the progress bar.
+     * Announces once when either countdown drops below the warning threshold.
+     */
+    renderTimers() {
+        const now = Date.now();
+        const questionTimer = this.getElement('question-timer');
+        const totalTimer = this.getElement('total-timer');
+        
+        questionTimer.hidden = !this.timeLimits.question;
+        totalTimer.hidden = !this.quizDeadline;
+        
+        let lowestRemaining = Infinity;
+        
+        if (this.questionDeadline) {
+            const remaining = Math.max(this.questionDeadline - now, 0);
+            questionTimer.querySelector('.timer-value').textContent = this.formatDuration(remaining);
+            questionTimer.classList.toggle('timer-warning', remaining <= TIMER_WARNING_THRESHOLD);
+            lowestRemaining = remaining;
+        }
+        
+        if (this.quizDeadline) {
+            const remaining = Math.max(this.quizDeadline - now, 0);
+            totalTimer.querySelector('.timer-value').textContent = this.formatDuration(remaining);
+            totalTimer.classList.toggle('timer-warning', remaining <= TIMER_WARNING_THRESHOLD);
+            lowestRemaining = Math.min(lowestRemaining, remaining);
+        }
+        
+        if (lowestRemaining <= TIMER_WARNING_THRESHOLD && !this.timeWarningAnnounced && !this.answered) {
+            this.timeWarningAnnounced = true;
+            this.announceTurn(this.t('quiz.secondsLeft', { count: Math.ceil(lowestRemaining / 1000) }));
+        }
+    }
+    
+    /**
+     * Handles the per-question countdown running out.
+     * Submits the selected option if there is one, otherwise marks the question as wrong.
+     */
+    expireQuestion() {
+        this.questionDeadline = null;
+        if (this.answered) return;
+        
+        this.submitAnswer(true);
+    }
+    
+    /**
+     * Handles the whole-quiz countdown running out.
+     * Records every unanswered question as wrong and ends the attempt. In a pass-and-play game each
+     * player has their own countdown, so only the active player is finished and the game moves on.
+     */
+    expireQuiz() {
+        this.clearTimers();
+        this.questionDeadline = null;
+        this.quizDeadline = null;
+        
+        const firstUnanswered = this.answered ? this.currentQuestionIndex + 1 : this.currentQuestionIndex;
+        this.currentQuiz.questions.slice(firstUnanswered).forEach((question, index) => {
+            this.answers.push({
+                question: question.question,
+                type: this.getQuestionType(question),
+                options: this.getQuestionOptions(question),
+                selected: null,
+                answer: question.answer,
+                correct: false,
+                timeTaken: index === 0 && !this.answered ? Date.now() - this.questionStartedAt : 0
+            });
+        });
+        
+        this.announceTurn(this.t('quiz.quizTimeUp'));
+        if (this.players.length > 0) {
+            this.saveSession();
+            this.advanceTurn();
+        } else {
+            this.completeQuiz();
+        }
+    }
+    
+    /**
+     * Formats a duration as minutes and seconds, rounding partial seconds up.
+     * @param {number} milliseconds - The duration to format
+     * @returns {string} The duration as "m:ss"
+     */
+    formatDuration(milliseconds) {
+        const totalSeconds = Math.ceil(milliseconds / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Calculates the time spent answering in the current attempt.
+     * @param {Array<AnswerRecord>} [answers=this.answers] - The answers to add up, e.g. one player's
+     * @returns {number} The sum of per-question times in milliseconds
+     */
+    getTimeTaken(answers = this.answers) {
+        return answers.reduce((total, record) => total + (record.timeTaken || 0), 0);
+    }
+    
+    /**
+     * Renders the answer options for the current question.
+     * 'multiple' questions get checkbox-style cards and 'text' questions a free-text field.
+     * @param {Question} question - The question to render options for
+     */
+    renderOptions(question) {
+        const optionsGrid = this.getElement('options-grid');
+        const type = this.getQuestionType(question);
+        optionsGrid.innerHTML = '';
+        
+        this.renderQuestionHint(type);
+        
+        if (type === 'text') {
+            optionsGrid.appendChild(this.createFreeTextField());
+            return;
+        }
+        
+        optionsGrid.setAttribute('role', type === 'multiple' ? 'group' : 'none');
+        this.getQuestionOptions(question).forEach((option, index) => {
+            const optionCard = this.createOptionCard(option, this.getOptionLetter(index), index, type === 'multiple');
+            optionsGrid.appendChild(optionCard);
+        });
+    }
+    
+    /**
+     * Shows how to answer questions of the given type; single choice questions need no hint.
+     * @param {QuestionType} type - The type of the current question
+     */
+    renderQuestionHint(type) {
+        const hint = this.getElement('question-hint');
+        const hasHint = type !== 'single';
+        hint.textContent = hasHint ? this.t(`quiz.hints.${type}`) : '';
+        hint.hidden = !hasHint;
+    }
+    
+    /**
+     * Creates the answer field for a 'text' question.
+     * Enter submits the answer, since the global keyboard handler ignores form fields.
+     * @returns {HTMLElement} The created field element
+     */
+    createFreeTextField() {
+        const template = this.getElement('freeTextTemplate');
+        const clone = template.content.cloneNode(true);
+        const input = clone.querySelector('.free-text-input');
+        
+        input.addEventListener('input', () => {
+            if (!this.answered) {
+                this.getElement('submit-btn').disabled = !this.hasSelection();
+            }
+        });
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.submitAnswer();
+            }
+        });
+        
+        return clone;
+    }
+    
+    /**
+     * Creates an option card element for the given option.
+     * @param {string} optionText - The text of the option
+     * @param {string} letter - The letter label (A, B, C, ...)
+     * @param {number} index - The index of the option
+     * @param {boolean} [checkable=false] - Whether the card toggles like a checkbox ('multiple' questions)
+     * @returns {HTMLElement} The created option card element
+     */
+    createOptionCard(optionText, letter, index, checkable = false) {
+        const card = document.createElement('div');
+        card.className = checkable ? 'option-card checkable start' : 'option-card start';
+        card.setAttribute('role', checkable ? 'checkbox' : 'button');
+        if (checkable) card.setAttribute('aria-checked', 'false');
+        card.setAttribute('tabindex', '0');
+        card.setAttribute('aria-label', this.t('quiz.option', { letter, text: toPlainText(optionText) }));
+        
+        const template = this.getElement('optionTemplate');
+        const clone = template.content.cloneNode(true);
+      
+        // Select elements in the cloned fragment
+        const letterSpan = clone.querySelector('.letter-text');
+        const optionTextDiv = clone.querySelector('.option-text');
+      
+        // Set dynamic text
+        letterSpan.textContent = letter;
+        optionTextDiv.replaceChildren(renderMarkup(optionText));
+        card.appendChild(clone);
+        
+        card.addEventListener('click', () => this.selectOption(index));
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.selectOption(index);
+            }
+        });
+        
+        return card;
+    }
+    
+    /**
+     * Selects an answer option for the current question.
+     * Updates the UI to show the selected option and enables the submit button.
+     * For 'multiple' questions the option is toggled instead.
+     * @param {number} optionIndex - The index of the selected option
+     */
+    selectOption(optionIndex) {
+        if (this.answered || this.isPresenting()) return;
+        
+        const question = this.currentQuiz.questions[this.currentQuestionIndex];
+        const type = this.getQuestionType(question);
+        if (type === 'text') return;
+        if (type === 'multiple') {
+            this.toggleOption(optionIndex);
+            return;
+        }
+        
+        // Remove previous selection
+        const previousSelected = this.root.querySelector('#options-grid .option-card.selected');
+        if (previousSelected) {
+            previousSelected.classList.remove('selected');
+        }
+        
+        // Select new option
+        const optionCards = this.root.querySelectorAll('#options-grid .option-card');
+        optionCards[optionIndex].classList.add('selected');
+        
+        this.selectedAnswer = optionIndex;
+        this.getElement('submit-btn').disabled = false;
+        
+        // Announce selection for screen readers
+        this.announceTurn(this.t('quiz.selected', { letter: this.getOptionLetter(optionIndex) }), 'standard');
+    }
+    
+    /**
+     * Toggles an option of a 'multiple' question.
+     * @param {number} optionIndex - The index of the option to toggle
+     */
+    toggleOption(optionIndex) {
+        const card = this.root.querySelectorAll('#options-grid .option-card')[optionIndex];
+        const isSelected = !this.selectedOptions.includes(optionIndex);
+        
+        this.selectedOptions = isSelected
+            ? [...this.selectedOptions, optionIndex].sort((a, b) => a - b)
+            : this.selectedOptions.filter(index => index !== optionIndex);
+        
+        card.classList.toggle('selected', isSelected);
+        card.setAttribute('aria-checked', String(isSelected));
+        this.getElement('submit-btn').disabled = this.selectedOptions.length === 0;
+        
+        const letter = this.getOptionLetter(optionIndex);
+        this.announceTurn(this.t(isSelected ? 'quiz.selected' : 'quiz.deselected', { letter }), 'standard');
+    }
+    
+    /**
+     * Checks whether the user has given an answer to the current question.
+     * @returns {boolean} Whether there is something to submit
+     */
+    hasSelection() {
+        return this.getResponse() !== null;
+    }
+    
+    /**
+     * Gets the user's response to the current question.
+     * @returns {string|Array<string>|null} The selected option, the selected options for 'multiple'
+     *     questions, the typed text for 'text' questions, or null if nothing was given
+     */
+    getResponse() {
+        const question = this.currentQuiz.questions[this.currentQuestionIndex];
+        const options = this.getQuestionOptions(question);
+        
+        switch (this.getQuestionType(question)) {
+            case 'multiple':
+                return this.selectedOptions.length > 0 ? this.selectedOptions.map(index => options[index]) : null;
+            case 'text': {
+                const input = this.root.querySelector('#options-grid .free-text-input');
+                const text = input ? input.value.trim() : '';
+                return text || null;
+            }
+            default:
+                return this.selectedAnswer === null ? null : options[this.selectedAnswer];
+        }
+    }
+    
+    /**
+     * Submits the selected answer and shows the result.
+     * Checks if the answer is correct, updates the score, and shows visual feedback.
+     * Questions with an explanation wait for the "Next" button, as do all questions when the
+     * feedback delay is set to 0; others auto-advance after the feedback delay, and the pending
+     * advance is tracked so a countdown expiring in the meantime cannot advance twice.
+     * In a live session the answer is sent to the presenter instead, who reveals whether it was right.
+     * @param {boolean} [timedOut=false] - Whether the question countdown ran out, which allows submitting without a selection
+     */
+    submitAnswer(timedOut = false) {
+        if (this.answered) return;
+        if (!this.hasSelection() && !timedOut) return;
+        
+        // Participants of a live session do not know the answer; the presenter reveals it
+        if (this.mode === 'live') {
+            this.sendLiveAnswer();
+            return;
+        }
+        
+        this.answered = true;
+        this.questionDeadline = null;
+        const question = this.currentQuiz.questions[this.currentQuestionIndex];
+        const selectedOption = this.getResponse();
+        const isCorrect = this.isResponseCorrect(question, selectedOption);
+        const timeTaken = Date.now() - this.questionStartedAt;
+        const confidence = this.scoring && selectedOption !== null ? this.readConfidence() : null;
+        
+        if (isCorrect) {
+            this.score++;
+        }
+        
+        this.answers.push({
+            ...(question.id && { id: question.id }),
+            question: question.question,
+            type: this.getQuestionType(question),
+            options: this.getQuestionOptions(question),
+            selected: selectedOption,
+            answer: question.answer,
+            correct: isCorrect,
+            timeTaken,
+            ...(question.explanation && { explanation: question.explanation }),
+            ...(question.links && { links: question.links }),
+            ...(question.subject && { subject: question.subject }),
+            ...(this.scoring && { confidence, points: this.calculatePoints(question, isCorrect, timeTaken, confidence) })
+        });
+        
+        // Other players' answers would skew the review schedule of whoever uses this browser
+        if (this.mode !== 'preview' && this.players.length === 0) {
+            this.recordReview(question.subject || this.getQuizKey(this.currentQuiz), question, isCorrect);
+        }
+        
+        // Practice and custom sessions report the subject each question came from
+        const questionQuiz = (question.subject && this.findQuizBySubject(question.subject)) || this.currentQuiz;
+        const record = this.answers[this.answers.length - 1];
+        this.emit('answer', {
+            subject: questionQuiz.title,
+            quizId: questionQuiz.id || null,
+            questionId: question.id || null,
+            mode: this.mode,
+            index: this.currentQuestionIndex,
+            question: record.question,
+            type: record.type,
+            options: record.options,
+            selected: record.selected,
+            answer: record.answer,
+            correct: record.correct,
+            timeTaken: record.timeTaken,
+            confidence: record.confidence || null,
+            points: this.scoring ? record.points : null,
+            player: this.getActivePlayerName()
+        });
+        
+        this.root.querySelectorAll('#confidence-rating input').forEach(input => {
+            input.disabled = true;
+        });
+        this.renderScoreboard();
+        this.showAnswerResult(isCorrect, selectedOption === null);
+        this.saveSession();
+        
+        // Disable submit button
+        this.getElement('submit-btn').disabled = true;
+        
+        // Give the user time to read the explanation before moving on
+        if (question.explanation || (question.links && question.links.length > 0)) {
+            this.showExplanation(question);
+            return;
+        }
+        
+        if (this.settings.feedbackDelay === 0) {
+            this.showNextButton();
+            return;
+        }
+        
+        // Auto-advance after showing result
+        this.advanceTimeout = setTimeout(() => {
+            this.advanceTimeout = null;
+            this.nextQuestion();
+        }, this.settings.feedbackDelay);
+    }
+    
+    /**
+     * Reads the confidence rating chosen for the current question.
+     * @returns {Confidence} The chosen rating, 'medium' unless another one is picked
+     */
+    readConfidence() {
+        const checked = this.root.querySelector('#confidence-rating input:checked');
+        return checked ? checked.value : 'medium';
+    }
+    
+    /**
+     * Shows the confidence rating for a new question, set back to 'medium', or hides it when scoring is off.
+     */
+    resetConfidenceRating() {
+        this.getElement('confidence-rating').hidden = !this.scoring;
+        this.root.querySelectorAll('#confidence-rating input').forEach(input => {
+            input.disabled = false;
+            input.checked = input.value === 'medium';
+        });
+    }
+    
+    /**
+     * Calculates the points for an answer. A correct answer earns the question's difficulty points,
+     * plus a speed bonus that runs out over the question's countdown (or SPEED_BONUS_WINDOW), times
+     * the streak multiplier; a wrong answer loses points in proportion to the confidence claimed.
+     * Both are weighted by CONFIDENCE_WEIGHTS.
+     * @param {Question} question - The answered question
+     * @param {boolean} isCorrect - Whether the answer was correct
+     * @param {number} timeTaken - Time spent on the question in milliseconds
+     * @param {Confidence|null} confidence - The confidence rating, or null if time ran out
+     * @returns {number} The points, negative for confident wrong answers
+     */
+    calculatePoints(question, isCorrect, timeTaken, confidence) {
+        if (!confidence) return 0;
+        
+        const base = DIFFICULTY_POINTS[question.difficulty] || DIFFICULTY_POINTS.medium;
+        const weights = CONFIDENCE_WEIGHTS[confidence];
+        if (!isCorrect) return Math.round(base * weights.incorrect) || 0;
+        
+        const speedWindow = this.timeLimits.question ? this.timeLimits.question * 1000 : SPEED_BONUS_WINDOW;
+        const speedBonus = MAX_SPEED_BONUS * Math.max(0, 1 - timeTaken / speedWindow);
+        const streak = this.getScoringTotals().streak + 1;
+        const streakMultiplier = Math.min(1 + STREAK_BONUS * (streak - 1), MAX_STREAK_MULTIPLIER);
+        
+        return Math.round(base * (1 + speedBonus) * streakMultiplier * weights.correct);
+    }
+    
+    /**
+     * Adds up the points and streaks of a set of answers.
+     * @param {Array<AnswerRecord>} [answers=this.answers] - The answers, in the order they were given
+     * @returns {ScoringTotals} The totals
+     */
+    getScoringTotals(answers = this.answers) {
+        let points = 0;
+        let streak = 0;
+        let longestStreak = 0;
+        
+        answers.forEach(record => {
+            points += record.points || 0;
+            streak = record.correct ? streak + 1 : 0;
+            longestStreak = Math.max(longestStreak, streak);
+        });
+        
+        return { points, streak, longestStreak };
+    }
+    
+    /**
+     * Shows the points and current streak on the quiz screen, or hides them when scoring is off.
+     */
+    renderScoreboard() {
+        const scoreboard = this.getElement('quiz-scoreboard');
+        scoreboard.hidden = !this.scoring;
+        if (!this.scoring) return;
+        
+        const totals = this.getScoringTotals();
+        this.getElement('quiz-points').textContent = totals.points;
+        this.getElement('quiz-streak').textContent = totals.streak;
+    }
+    
+    /**
+     * Shows the result of the submitted answer with visual feedback.
+     * Displays correct/incorrect icons and updates card styling.
+     * @param {boolean} isCorrect - Whether the submitted answer was correct
+     * @param {boolean} [timedOut=false] - Whether time ran out before an option was chosen
+     */
+    showAnswerResult(isCorrect, timedOut = false) {
+        const optionCards = this.root.querySelectorAll('#options-grid .option-card');
+        const question = this.currentQuiz.questions[this.currentQuestionIndex];
+        const options = this.getQuestionOptions(question);
+        const correctOptions = this.getCorrectOptions(question.answer);
+        
+        if (this.getQuestionType(question) === 'text') {
+            this.showFreeTextResult(question, isCorrect, timedOut);
+            return;
+        }
+        
+        optionCards.forEach((card, index) => {
+            const isSelected = index === this.selectedAnswer || this.selectedOptions.includes(index);
+            const isCorrectAnswer = correctOptions.includes(options[index]);
+            
+            if (isCorrectAnswer) {
+                this.markOptionCard(card, 'correct');
+            } else if (isSelected) {
+                this.markOptionCard(card, 'incorrect');
+            } else {
+                this.markOptionCard(card, null);
+            }
+        });
+        
+        // The presenter has no answer of their own, so the room hears the correct one
+        if (this.isPresenting()) {
+            this.announceToScreenReader(this.t('live.revealed', { answer: this.formatAnswer(question.answer) }));
+            return;
+        }
+        
+        // Announce result for screen readers, with the answer when they ask for everything to be read
+        const result = this.t(timedOut ? 'quiz.timeUp' : isCorrect ? 'quiz.correct' : 'quiz.incorrect');
+        this.announceTurn(isCorrect || !this.isAnnounced('verbose')
+            ? result
+            : this.t('quiz.answerWas', { result, answer: this.formatAnswer(question.answer) }));
+    }
+    
+    /**
+     * Shows the explanation panel for the answered question and the "Next" button.
+     * @param {Question} question - The answered question
+     */
+    showExplanation(question) {
+        const panel = this.getElement('explanation-panel');
+        const text = this.getElement('explanation-text');
+        
+        text.textContent = question.explanation || '';
+        text.hidden = !question.explanation;
+        this.renderLinks(this.getElement('explanation-links'), question.links);
+        panel.hidden = false;
+        this.showNextButton();
+        
+        if (question.explanation) {
+            this.announceToScreenReader(this.t('quiz.explanationAnnouncement', { explanation: question.explanation }));
+        }
+    }
+    
+    /**
+     * Swaps the submit button for a "Next" button so the user moves on when ready.
+     */
+    showNextButton() {
+        const nextButton = this.getElement('next-btn');
+        nextButton.textContent = this.getNextButtonLabel();
+        nextButton.hidden = false;
+        this.getElement('submit-btn').hidden = true;
+        nextButton.focus();
+    }
+    
+    /**
+     * Gets the label of the "Next" button shown with an explanation.
+     * @returns {string} "See Results" on the last question, otherwise "Next Question"
+     */
+    getNextButtonLabel() {
+        const isLast = this.currentQuestionIndex + 1 >= this.currentQuiz.questions.length;
+        return this.t(isLast ? 'quiz.seeResults' : 'quiz.next');
+    }
+    
+    /**
+     * Fills a list with reference links that open in a new tab.
+     * @param {HTMLElement} list - The list element to fill
+     * @param {Array<QuestionLink>} [links=[]] - The links to show
+     */
+    renderLinks(list, links = []) {
+        list.innerHTML = '';
+        list.hidden = links.length === 0;
+        
+        links.forEach(link => {
+            const item = document.createElement('li');
+            const anchor = document.createElement('a');
+            anchor.href = link.url;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener noreferrer';
+            anchor.textContent = link.title;
+            item.appendChild(anchor);
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Shows the result of a 'text' question: marks the field and reveals the expected answer.
+     * The presenter of a live session gets the answer in the field.
+     * @param {Question} question - The question that was answered
+     * @param {boolean} isCorrect - Whether the submitted answer was correct
+     * @param {boolean} timedOut - Whether time ran out before an answer was typed
+     */
+    showFreeTextResult(question, isCorrect, timedOut) {
+        const field = this.root.querySelector('#options-grid .free-text-field');
+        const input = field.querySelector('.free-text-input');
+        const feedback = field.querySelector('.free-text-feedback');
+        
+        input.readOnly = true;
+        this.markOptionCard(field, isCorrect ? 'correct' : 'incorrect');
+        
+        if (this.isPresenting()) {
+            input.value = question.answer;
+            this.announceToScreenReader(this.t('live.revealed', { answer: question.answer }));
+            return;
+        }
+        
+        feedback.textContent = isCorrect ? this.t('quiz.correct') : this.t('quiz.answer', { answer: question.answer });
+        feedback.hidden = false;
+        
+        const result = this.t(timedOut ? 'quiz.timeUp' : isCorrect ? 'quiz.correct' : 'quiz.incorrect');
+        this.announceTurn(isCorrect ? result : this.t('quiz.answerWas', { result, answer: question.answer }));
+    }
+    
+    /**
+     * Applies correct/incorrect styling and icon to an option card.
+     * @param {HTMLElement} card - The option card to mark
+     * @param {'correct'|'incorrect'|null} state - The state to show, or null to hide both icons
+     */
+    markOptionCard(card, state) {
+        const correctIcon = card.querySelector('.correct-icon');
+        const incorrectIcon = card.querySelector('.incorrect-icon');
+        
+        correctIcon.classList.toggle('show', state === 'correct');
+        correctIcon.classList.toggle('hidden', state !== 'correct');
+        incorrectIcon.classList.toggle('show', state === 'incorrect');
+        incorrectIcon.classList.toggle('hidden', state !== 'incorrect');
+        
+        if (state) {
+            card.classList.add(state);
+        }
+    }
+    
+    /**
+     * Advances to the next question or shows results if all questions are complete.
+     * Increments the question index and either renders the next question or shows the results screen.
+     * Pass-and-play games move on to the next turn instead, which may belong to another player.
+     */
+    nextQuestion() {
+        if (this.players.length > 0) {
+            this.advanceTurn();
+            return;
+        }
+        
+        this.currentQuestionIndex++;
+        
+        if (this.currentQuestionIndex >= this.currentQuiz.questions.length) {
+            this.completeQuiz();
+        } else {
+            this.renderQuestion();
+        }
+    }
+    
+    /**
+     * Gets the name of the player whose turn it is.
+     * @returns {string|null} The name, or null when one person plays
+     */
+    getActivePlayerName() {
+        const player = this.players[this.currentPlayerIndex];
+        return player ? player.name : null;
+    }
+    
+    /**
+     * Makes it a player's turn: their answers and score become the attempt state, and the question
+     * index moves to the first question they have not answered.
+     * @param {number} index - Index of the player in this.players
+     */
+    setActivePlayer(index) {
+        const player = this.players[index];
+        this.currentPlayerIndex = index;
+        this.answers = player.answers;
+        this.score = player.answers.filter(record => record.correct).length;
+        this.currentQuestionIndex = player.answers.length;
+        this.selectedAnswer = null;
+        this.answered = false;
+    }
+    
+    /**
+     * Works out whose turn is next in the pass-and-play game. Taking turns, the player with the
+     * fewest answers goes next (the first of them on a tie); playing runs, the first player who
+     * has not finished keeps going.
+     * @returns {number|null} Index of the next player, or null once everyone has answered every question
+     */
+    getNextPlayerIndex() {
+        const total = this.currentQuiz.questions.length;
+        const waiting = this.players
+            .map((player, index) => ({ index, answered: player.answers.length }))
+            .filter(entry => entry.answered < total);
+        
+        if (waiting.length === 0) return null;
+        if (this.playerMode === 'runs') return waiting[0].index;
+        return waiting.reduce((next, entry) => (entry.answered < next.answered ? entry : next)).index;
+    }
+    
+    /**
+     * Moves a pass-and-play game on after an answer: the same player carries on with their run,
+     * another player gets a handover, and the game ends once every player has answered every question.
+     */
+    advanceTurn() {
+        const previous = this.currentPlayerIndex;
+        const next = this.getNextPlayerIndex();
+        
+        if (next === null) {
+            this.completeQuiz();
+            return;
+        }
+        
+        this.setActivePlayer(next);
+        if (next === previous) {
+            this.renderQuestion();
+        } else {
+            this.showHandover(true);
+        }
+    }
+    
+    /**
+     * Continues a restored pass-and-play game with a handover to the player whose turn is next,
+     * or shows the leaderboard if everyone had already answered every question.
+     */
+    resumeGame() {
+        const next = this.getNextPlayerIndex();
+        this.setActivePlayer(next ?? 0);
+        
+        if (next === null) {
+            this.updateSubjectHeader();
+            this.completeQuiz();
+        } else {
+            this.emitQuizStart(true);
+            this.showHandover();
+        }
+    }
+    
+    /**
+     * Shows the handover screen asking for the device to be passed to the player whose turn is next.
+     * It replaces the quiz screen, so the previous player's feedback is hidden until the next player
+     * is ready, and no countdown runs while it is shown.
+     * @param {boolean} [replaceRoute=false] - Whether the handover replaces the route of the turn
+     *     before it instead of adding a history entry
+     */
+    showHandover(replaceRoute = false) {
+        this.clearTimers();
+        this.hideAllScreens();
+        const handoverScreen = this.getElement('handover-screen');
+        handoverScreen.classList.remove('screen-hidden');
+        handoverScreen.classList.add('screen-visible');
+        this.setRoute(this.getQuizRoute(), replaceRoute);
+        this.updateSubjectHeader();
+        this.renderHandover();
+        this.addAnimation('handover-screen', 'fade-in');
+        
+        this.announceToScreenReader(this.t('players.passTo', { name: this.getActivePlayerName() }));
+        setTimeout(() => {
+            this.getElement('handover-ready-btn').focus();
+        }, 100);
+    }
+    
+    /**
+     * Fills the handover screen with the next player's name and the question they start on.
+     */
+    renderHandover() {
+        const name = this.getActivePlayerName();
+        this.getElement('handover-player').textContent = name;
+        this.getElement('handover-detail').textContent = this.t('players.handoverDetail', {
+            number: this.currentQuestionIndex + 1,
+            total: this.currentQuiz.questions.length
+        });
+        this.getElement('handover-ready-btn').textContent = this.t('players.ready', { name });
+    }
+    
+    /**
+     * Starts the active player's turn from the handover screen. With a whole-quiz time limit, each
+     * player's countdown carries on from the time they have used so far.
+     */
+    beginTurn() {
+        if (this.timeLimits.total) {
+            this.quizDeadline = Date.now() + Math.max(this.timeLimits.total * 1000 - this.getTimeTaken(), 0);
+        }
+        this.startQuiz();
+    }
+    
+    /**
+     * Shows whose turn it is above the question, or hides the label when one person plays.
+     */
+    renderActivePlayer() {
+        const label = this.getElement('active-player');
+        const name = this.getActivePlayerName();
+        
+        label.hidden = !name;
+        label.textContent = name ? this.t('players.turn', { name }) : '';
+    }
+    
+    /**
+     * Announces something about the current turn to screen readers, naming the active player in a
+     * pass-and-play game so everyone knows whose answer it was.
+     * @param {string} message - The message to announce
+     * @param {AnnouncementLevel} [level='minimal'] - The least announcement level that says it
+     */
+    announceTurn(message, level = 'minimal') {
+        const name = this.getActivePlayerName();
+        this.announceToScreenReader(name ? this.t('players.announcement', { name, message }) : message, level);
+    }
+    
+    /**
+     * Ranks the players of a pass-and-play game, or the participants of a live session: by points
+     * when scoring is on, then by correct answers, then by the shortest time.
+     * @param {Array<Player|LiveParticipant>} [players=this.players] - The players to rank
+     * @returns {Array<PlayerStanding>} Every player's standing, best first
+     */
+    getStandings(players = this.players) {
+        const standings = players.map(player => ({
+            name: player.name,
+            rank: 1,
+            score: player.answers.filter(record => record.correct).length,
+            points: this.scoring ? this.getScoringTotals(player.answers).points : null,
+            timeTaken: this.getTimeTaken(player.answers)
+        }));
+        const compare = (a, b) => (b.points || 0) - (a.points || 0) || b.score - a.score || a.timeTaken - b.timeTaken;
+        
+        standings.sort(compare);
+        standings.forEach(standing => {
+            const tiedWith = standings.findIndex(other => compare(other, standing) === 0);
+            standing.rank = tiedWith + 1;
+        });
+        return standings;
+    }
+    
+    /**
+     * Finishes the current attempt: records it in the history, clears the saved session and shows the results.
+     * Pass-and-play games are not recorded, since the history holds the stats of whoever uses this browser.
+     * Neither are live sessions, whose presenter sends the final leaderboard to the participants.
+     */
+    completeQuiz() {
+        this.clearTimers();
+        if (this.isPresenting()) {
+            this.live.standings = this.getStandings(this.live.participants);
+            this.live.channel.post({ type: 'end', standings: this.live.standings });
+        }
+        
+        this.emit('quizcomplete', {
+            subject: this.currentQuiz.title,
+            quizId: this.currentQuiz.id || null,
+            mode: this.mode,
+            score: this.score,
+            total: this.currentQuiz.questions.length,
+            timeTaken: this.getTimeTaken(),
+            answers: [...this.answers],
+            players: this.mode === 'live' ? this.live.standings : this.getStandings()
+        });
+        
+        // Previews go straight back to the editor and leave no trace in the history
+        if (this.mode === 'preview') {
+            this.showAuthorScreen();
+            return;
+        }
+        
+        // Linked questions don't make up a whole attempt, so there is no result to show or save
+        if (this.mode === 'linked') {
+            this.showStartScreen();
+            this.announceToScreenReader(this.t('quiz.linkedFinished', { subject: this.getDisplayTitle(this.getQuizKey(this.currentQuiz)) }));
+            return;
+        }
+        
+        if (this.mode === 'live') {
+            this.showResults();
+            return;
+        }
+        
+        if (this.players.length === 0) {
+            this.saveAttempt();
+        }
+        this.clearSession();
+        
+        // The finished quiz cannot be returned to, so its route makes way for the results
+        this.setRoute(`/results/${this.getSlug(this.getQuizKey(this.currentQuiz))}`, true);
+        this.showResults();
+    }
+    
+    /**
+     * Shows the results screen with the final score.
+     * Updates the results display with subject info, score, and total questions.
+     */
+    showResults() {
+        this.hideAllScreens();
+        const resultsScreen = this.getElement('results-screen');
+        resultsScreen.classList.remove('screen-hidden');
+        resultsScreen.classList.add('screen-visible');
+        this.getElement('subject-info').style.display = 'flex';
+        if (this.mode !== 'live') {
+            this.setRoute(`/results/${this.getSlug(this.getQuizKey(this.currentQuiz))}`);
+        }
+        this.sharedResult = null;
+        this.setResultsView(false);
+        
+        // Update results
+        const resultsSubjectIcon = this.getElement('results-subject-icon');
+        resultsSubjectIcon.src = this.currentQuiz.icon;
+        resultsSubjectIcon.alt = this.t('app.subjectIcon', { subject: this.getDisplayTitle(this.getQuizKey(this.currentQuiz)) });
+        this.setSubjectIcon(resultsSubjectIcon.parentElement, this.getQuizKey(this.currentQuiz));
+        this.getElement('results-subject-name').textContent = this.getDisplayTitle(this.getQuizKey(this.currentQuiz));
+        this.getElement('score-number').textContent = this.score;
+        this.getElement('results-total').textContent = this.currentQuiz.questions.length;
+        this.renderResultsTime();
+        this.renderPracticeResults();
+        this.renderScoringResults();
+        this.renderProfileResult();
+        this.renderLeaderboard();
+        
+        const resultsSeed = this.getElement('results-seed');
+        resultsSeed.hidden = !this.seed;
+        this.getElement('results-seed-value').textContent = this.seed || '';
+        
+        this.addAnimation('results-screen', 'scale-in');
+        
+        // Focus first button for accessibility
+        setTimeout(() => {
+            this.getElement('play-again-btn').focus();
+        }, 100);
+    }
+    
+    /**
+     * Shows a result opened from a share link on the results screen, without the attempt details
+     * and actions that need the attempt itself.
+     * @param {SharedResult} result - The shared result
+     */
+    showSharedResult(result) {
+        this.clearTimers();
+        this.hideAllScreens();
+        const resultsScreen = this.getElement('results-screen');
+        resultsScreen.classList.remove('screen-hidden');
+        resultsScreen.classList.add('screen-visible');
+        this.getElement('subject-info').style.display = 'none';
+        
+        this.sharedResult = result;
+        const quiz = this.findQuizBySubject(result.subject);
+        
+        const resultsSubjectIcon = this.getElement('results-subject-icon');
+        resultsSubjectIcon.hidden = !quiz;
+        resultsSubjectIcon.src = quiz ? quiz.icon : '';
+        resultsSubjectIcon.alt = this.t('app.subjectIcon', { subject: this.getDisplayTitle(result.subject) });
+        this.setSubjectIcon(resultsSubjectIcon.parentElement, result.subject);
+        this.getElement('results-subject-name').textContent = this.getDisplayTitle(result.subject);
+        this.getElement('score-number').textContent = result.score;
+        this.getElement('results-total').textContent = result.total;
+        this.getElement('results-shared-date').textContent =
+            this.t('results.finishedOn', { date: this.formatShareDate(result.date) });
+        
+        this.setResultsView(true);
+        this.addAnimation('results-screen', 'scale-in');
+        
+        setTimeout(() => {
+            this.getElement('results-title').focus();
+        }, 100);
+    }
+    
+    /**
+     * Switches the results screen between the current attempt and a read-only shared result.
+     * Shared results have no times, review or share link, and "Play Again" offers the quiz
+     * itself when it exists here.
+     * @param {boolean} shared - Whether a shared result is shown
+     */
+    setResultsView(shared) {
+        const quiz = shared ? this.findQuizBySubject(this.sharedResult.subject) : this.currentQuiz;
+        const playAgainButton = this.getElement('play-again-btn');
+        
+        this.getElement('results-title').textContent = this.t(shared ? 'results.shared' : 'results.completed');
+        this.getElement('results-subtitle').textContent = this.t(shared ? 'results.theyScored' : 'results.youScored');
+        this.getElement('results-shared-date').hidden = !shared;
+        this.getElement('share-link-panel').hidden = true;
+        this.getElement('leaderboard').hidden = true;
+        this.getElement('profile-result').hidden = true;
+        this.root.querySelector('#results-screen .score-display').hidden = false;
+        this.getElement('download-card-btn').hidden = false;
+        this.root.querySelector('#results-screen .results-time').hidden = shared;
+        this.getElement('review-btn').hidden = shared;
+        // Share links open the app's own routes, which an embedded app without routing does not have
+        this.getElement('share-btn').hidden = shared || !this.options.routing;
+        // Live sessions are run again from the live screen, with whoever joins
+        playAgainButton.hidden = !quiz || (!shared && this.mode === 'live');
+        playAgainButton.textContent = shared && quiz
+            ? this.t('results.takeQuiz', { subject: this.getDisplayTitle(quiz.title) })
+            : this.t('results.playAgain');
+        
+        if (shared) {
+            this.getElement('practice-results').hidden = true;
+            this.getElement('scoring-results').hidden = true;
+        } else {
+            this.getElement('results-subject-icon').hidden = false;
+        }
+    }
+    
+    /**
+     * Starts the quiz of the shared result being shown.
+     */
+    takeSharedQuiz() {
+        const quiz = this.findQuizBySubject(this.sharedResult.subject);
+        this.sharedResult = null;
+        if (!quiz) return;
+        
+        if (quiz === PRACTICE_QUIZ) {
+            this.startPractice();
+        } else if (quiz === CUSTOM_QUIZ) {
+            this.showSetupScreen();
+        } else {
+            this.selectSubject(this.quizzes.indexOf(quiz));
+        }
+    }
+    
+    /**
+     * Finds a quiz by its key, including the practice and custom sessions. Share links made before
+     * quizzes had IDs hold the title, so that is tried too.
+     * @param {string} subject - The quiz key (see getQuizKey), or its title
+     * @returns {Quiz|undefined} The quiz, or undefined if there is none with that key or title
+     */
+    findQuizBySubject(subject) {
+        const quizzes = [...this.quizzes, PRACTICE_QUIZ, CUSTOM_QUIZ];
+        return quizzes.find(quiz => this.getQuizKey(quiz) === subject) || quizzes.find(quiz => quiz.title === subject);
+    }
+    
+    /**
+     * Gets the score shown on the results screen: the shared result or the finished attempt.
+     * @returns {SharedResult} The subject, score, total and date
+     */
+    getShownResult() {
+        if (this.sharedResult) return this.sharedResult;
+        
+        const finished = new Date(this.completedAt || Date.now());
+        const date = [
+            finished.getFullYear(),
+            String(finished.getMonth() + 1).padStart(2, '0'),
+            String(finished.getDate()).padStart(2, '0')
+        ].join('-');
+        
+        return {
+            subject: this.getQuizKey(this.currentQuiz),
+            score: this.score,
+            total: this.currentQuiz.questions.length,
+            date
+        };
+    }
+    
+    /**
+     * Formats a YYYY-MM-DD date for display in the interface language.
+     * @param {string} date - The date to format
+     * @returns {string} The formatted date, e.g. "October 19, 2026"
+     */
+    formatShareDate(date) {
+        return new Date(`${date}T00:00:00`).toLocaleDateString(this.locale, { dateStyle: 'long' });
+    }
+    
+    /**
+     * Builds the share link of the result on screen, e.g. "…/index.html#/shared/css/7/10/2026-10-19".
+     * @returns {string} The absolute URL
+     */
+    getShareUrl() {
+        const { subject, score, total, date } = this.getShownResult();
+        const base = window.location.href.split('#')[0];
+        return `${base}#/shared/${encodeURIComponent(subject)}/${score}/${total}/${date}`;
+    }
+    
+    /**
+     * Parses the parts of a share link route after "#/shared/".
+     * @param {Array<string>} params - The subject, score, total and date segments
+     * @returns {SharedResult|null} The shared result, or null if the link is malformed
+     */
+    parseSharedResult(params) {
+        if (params.length !== 4) return null;
+        
+        const [encodedSubject, score, total, date] = params;
+        let subject;
+        try {
+            subject = decodeURIComponent(encodedSubject).trim();
+        } catch (error) {
+            return null;
+        }
+        
+        if (!subject || !/^\d+$/.test(score) || !/^\d+$/.test(total)) return null;
+        
+        const result = { subject, score: Number(score), total: Number(total), date };
+        if (result.total < 1 || result.score > result.total) return null;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(`${date}T00:00:00`).getTime())) return null;
+        
+        return result;
+    }
+    
+    /**
+     * Shows the share link for the result on screen and copies it to the clipboard.
+     * The link stays visible and selected in case the clipboard is not available.
+     * @async
+     */
+    async shareResult() {
+        const url = this.getShareUrl();
+        const input = this.getElement('share-link-input');
+        const status = this.getElement('share-status');
+        
+        this.getElement('share-link-panel').hidden = false;
+        input.value = url;
+        input.focus();
+        input.select();
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            status.textContent = this.t('results.linkCopied');
+        } catch (error) {
+            status.textContent = this.t('results.copyLink');
+        }
+    }
+    
+    /**
+     * Draws the result on screen as a PNG score card and downloads it.
+     * The card uses the current theme's colours and the subject icon and colour from the results screen.
+     * @async
+     */
+    async downloadScoreCard() {
+        const { subject, score, total, date } = this.getShownResult();
+        const canvas = document.createElement('canvas');
+        canvas.width = SCORE_CARD_WIDTH;
+        canvas.height = SCORE_CARD_HEIGHT;
+        const context = canvas.getContext('2d');
+        
+        if (!context) {
+            this.showError(this.t('results.cardUnsupported'));
+            return;
+        }
+        
+        const styles = getComputedStyle(this.hostElement);
+        const color = name => styles.getPropertyValue(name).trim();
+        const fontFamily = color('--font-family') || 'sans-serif';
+        const iconElement = this.root.querySelector('#results-screen .score-info .subject-icon');
+        const iconImage = this.getElement('results-subject-icon');
+        const centerX = SCORE_CARD_WIDTH / 2;
+        
+        // Canvas text does not wait for web fonts, so make sure Rubik is ready
+        if (document.fonts) await document.fonts.ready;
+        
+        context.fillStyle = color('--color-background');
+        context.fillRect(0, 0, SCORE_CARD_WIDTH, SCORE_CARD_HEIGHT);
+        
+        context.fillStyle = color('--color-card');
+        context.beginPath();
+        context.roundRect(40, 40, SCORE_CARD_WIDTH - 80, SCORE_CARD_HEIGHT - 80, 24);
+        context.fill();
+        
+        context.fillStyle = getComputedStyle(iconElement).backgroundColor || color('--color-border');
+        context.beginPath();
+        context.roundRect(centerX - 60, 80, 120, 120, 16);
+        context.fill();
+        
+        if (!iconImage.hidden && iconImage.src) {
+            try {
+                context.drawImage(await this.loadImage(iconImage.src), centerX - 40, 100, 80, 80);
+            } catch (error) {
+                console.error('Error drawing score card icon:', error);
+            }
+        }
+        
+        context.textAlign = 'center';
+        context.fillStyle = color('--color-text-primary');
+        context.font = `500 56px ${fontFamily}`;
+        context.fillText(this.getDisplayTitle(subject), centerX, 270, SCORE_CARD_WIDTH - 160);
+        
+        context.font = `500 160px ${fontFamily}`;
+        context.fillText(String(score), centerX, 430);
+        
+        context.fillStyle = color('--color-text-secondary');
+        context.font = `400 44px ${fontFamily}`;
+        context.fillText(this.t('results.cardOutOf', { total, percent: Math.round((score / total) * 100) }), centerX, 495);
+        
+        context.font = `400 32px ${fontFamily}`;
+        context.fillText(this.formatShareDate(date), centerX, 550);
+        
+        canvas.toBlob(blob => {
+            if (!blob) {
+                this.showError(this.t('results.cardFailed'));
+                return;
+            }
+            this.downloadBlob(blob, `${this.toFileName(subject)}-score-${date}.png`);
+            this.announceToScreenReader(this.t('results.cardDownloaded'));
+        }, 'image/png');
+    }
+    
+    /**
+     * Loads an image so it can be drawn on a canvas.
+     * @param {string} src - The image URL
+     * @returns {Promise<HTMLImageElement>} The loaded image
+     */
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Could not load image ${src}`));
+            image.src = src;
+        });
+    }
+    
+    /**
+     * Shows the total time taken on the results screen.
+     * In timed mode the time spent on each question is listed as well.
+     */
+    renderResultsTime() {
+        const timeTaken = this.getTimeTaken();
+        const timedCount = this.answers.filter(record => record.timeTaken > 0).length;
+        const average = timedCount > 0 ? timeTaken / timedCount : 0;
+        
+        this.getElement('results-time-total').textContent = this.formatDuration(timeTaken);
+        this.getElement('results-time-average').textContent = this.formatDuration(average);
+        
+        const questionTimes = this.getElement('results-question-times');
+        const isTimed = Boolean(this.timeLimits.question || this.timeLimits.total);
+        questionTimes.innerHTML = '';
+        questionTimes.hidden = !isTimed;
+        
+        if (!isTimed) return;
+        
+        this.answers.forEach((record, index) => {
+            const item = document.createElement('li');
+            item.className = record.correct ? 'question-time correct' : 'question-time incorrect';
+            const number = index + 1;
+            const time = this.formatDuration(record.timeTaken);
+            item.textContent = record.selected === null
+                ? this.t('results.questionSkipped', { number })
+                : this.t('results.questionTime', { number, time });
+            item.setAttribute('aria-label', record.selected === null
+                ? this.t('results.questionSkippedLabel', { number })
+                : this.t('results.questionTimeLabel', {
+                    number,
+                    time,
+                    result: this.t(record.correct ? 'results.correct' : 'results.incorrect')
+                }));
+            questionTimes.appendChild(item);
+        });
+    }
+    
+    /**
+     * Shows what a practice session changed: how many questions were strengthened, missed and
+     * mastered, and when each one is due again. Hidden for subject quizzes.
+     */
+    renderPracticeResults() {
+        const section = this.getElement('practice-results');
+        const list = this.getElement('practice-results-list');
+        const isPractice = this.currentQuiz.title === PRACTICE_QUIZ.title;
+        
+        section.hidden = !isPractice;
+        list.innerHTML = '';
+        if (!isPractice) return;
+        
+        let mastered = 0;
+        this.answers.forEach(record => {
+            const item = this.reviewSchedule[this.getReviewKey(record.subject, record)];
+            const interval = item ? item.interval : 0;
+            if (record.correct && interval >= MASTERED_INTERVAL) mastered++;
+            
+            const entry = document.createElement('li');
+            entry.className = record.correct ? 'practice-result correct' : 'practice-result incorrect';
+            entry.textContent = this.t('practice.result', {
+                subject: this.getDisplayTitle(record.subject),
+                question: toPlainText(record.question),
+                next: this.describeNextReview(interval)
+            });
+            list.appendChild(entry);
+        });
+        
+        const strengthened = this.answers.filter(record => record.correct).length;
+        const missed = this.answers.length - strengthened;
+        this.getElement('practice-results-summary').textContent =
+            this.t('practice.summary', { strengthened, missed, mastered });
+    }
+    
+    /**
+     * Shows the points, longest streak and confidence calibration of an attempt played with scoring.
+     * Calibration compares the share of correct answers at each confidence level with CONFIDENCE_BANDS.
+     */
+    renderScoringResults() {
+        const section = this.getElement('scoring-results');
+        const list = this.getElement('calibration-list');
+        
+        section.hidden = !this.scoring;
+        list.innerHTML = '';
+        if (!this.scoring) return;
+        
+        const totals = this.getScoringTotals();
+        this.getElement('results-points').textContent = totals.points;
+        this.getElement('results-streak').textContent = totals.longestStreak;
+        
+        Object.keys(CONFIDENCE_WEIGHTS).forEach(level => {
+            const rated = this.answers.filter(record => record.confidence === level);
+            if (rated.length === 0) return;
+            
+            const correct = rated.filter(record => record.correct).length;
+            const accuracy = correct / rated.length;
+            const band = CONFIDENCE_BANDS[level];
+            const verdict = accuracy < band.min ? 'over' : accuracy >= band.max && level !== 'high' ? 'under' : 'good';
+            
+            const entry = document.createElement('li');
+            entry.className = `calibration-result ${verdict}`;
+            entry.textContent = this.t('scoring.calibrationLevel', {
+                level: this.t(`scoring.levels.${level}`),
+                correct,
+                total: rated.length,
+                percent: Math.round(accuracy * 100),
+                verdict: this.t(`scoring.verdicts.${verdict}`)
+            });
+            list.appendChild(entry);
+        });
+        
+        this.getElement('calibration-empty').hidden = list.children.length > 0;
+    }
+    
+    /**
+     * Shows the leaderboard of a pass-and-play game or live session on the results screen, in place
+     * of the score, time and actions that describe a single attempt. Does nothing when one person played.
+     */
+    renderLeaderboard() {
+        const standings = this.mode === 'live' ? this.live.standings : this.getStandings();
+        if (!standings || standings.length === 0) return;
+        
+        const list = this.getElement('leaderboard-list');
+        const winners = standings.filter(standing => standing.rank === 1);
+        const total = this.currentQuiz.questions.length;
+        
+        this.getElement('results-title').textContent = winners.length > 1
+            ? this.t('players.tie')
+            : this.t('players.wins', { name: winners[0].name });
+        this.getElement('results-subtitle').textContent = this.t('players.standings');
+        this.getElement('leaderboard').hidden = false;
+        this.root.querySelector('#results-screen .score-display').hidden = true;
+        this.root.querySelector('#results-screen .results-time').hidden = true;
+        ['practice-results', 'scoring-results', 'review-btn', 'share-btn', 'download-card-btn'].forEach(id => {
+            this.getElement(id).hidden = true;
+        });
+        
+        list.innerHTML = '';
+        standings.forEach(standing => {
+            const entry = document.createElement('li');
+            entry.className = standing.rank === 1 ? 'leaderboard-entry winner between' : 'leaderboard-entry between';
+            
+            const rank = document.createElement('span');
+            rank.className = 'leaderboard-rank subtitle';
+            rank.textContent = standing.rank;
+            
+            const name = document.createElement('span');
+            name.className = 'leaderboard-name';
+            name.textContent = standing.name;
+            
+            const result = document.createElement('span');
+            result.className = 'leaderboard-result';
+            result.textContent = [
+                this.t('players.score', { score: standing.score, total }),
+                ...(standing.points !== null ? [this.t('players.points', { points: standing.points })] : []),
+                this.formatDuration(standing.timeTaken)
+            ].join(' · ');
+            
+            entry.append(rank, name, result);
+            list.appendChild(entry);
+        });
+    }
+    
+    /**
+     * Tells a profile how the attempt on the results screen went for them: a new personal best
+     * and/or their place on the subject's leaderboard. Only standard attempts by a profile count.
+     */
+    renderProfileResult() {
+        const element = this.getElement('profile-result');
+        const attempt = this.history.find(entry =>
+            entry.startedAt === this.startedAt && entry.subject === this.getQuizKey(this.currentQuiz));
+        const profile = attempt && this.players.length === 0 && attempt.mode === 'standard'
+            ? this.findProfile(attempt.profile)
+            : undefined;
+        
+        element.hidden = !profile;
+        if (!profile) return;
+        
+        const previous = this.history.filter(entry => entry !== attempt && entry.profile === profile.id &&
+            entry.subject === attempt.subject && entry.mode === 'standard' && entry.total > 0);
+        const isPersonalBest = previous.length > 0 &&
+            previous.every(entry => this.compareResults(attempt, entry) < 0);
+        
+        const rankings = this.getProfileRankings(attempt.subject);
+        const ranking = rankings.find(entry => entry.profile === profile);
+        
+        element.textContent = [
+            ...(isPersonalBest ? [this.t('profiles.personalBest', { name: profile.name })] : []),
+            this.t('profiles.ranked', {
+                name: profile.name,
+                rank: ranking.rank,
+                count: rankings.length,
+                subject: this.getDisplayTitle(attempt.subject)
+            })
+        ].join(' ');
+    }
+    
+    /**
+     * Describes when a question will next come up for practice.
+     * @param {number} interval - The question's review interval in days
+     * @returns {string} The description
+     */
+    describeNextReview(interval) {
+        if (interval === 0) return this.t('practice.nextPractice');
+        if (interval === 1) return this.t('practice.tomorrow');
+        return this.t('practice.inDays', { count: interval });
+    }
+    
+    /**
+     * Shows the review screen listing every question with the submitted and correct answers.
+     * The "Retry missed" button is disabled when every answer was correct.
+     */
+    showReview() {
+        this.hideAllScreens();
+        const reviewScreen = this.getElement('review-screen');
+        reviewScreen.classList.remove('screen-hidden');
+        reviewScreen.classList.add('screen-visible');
+        this.setRoute(`/review/${this.getSlug(this.getQuizKey(this.currentQuiz))}`);
+        this.renderReview();
+        
+        this.addAnimation('review-screen', 'fade-in');
+        
+        // Focus the list heading for accessibility
+        setTimeout(() => {
+            this.getElement('review-heading').focus();
+        }, 100);
+    }
+    
+    /**
+     * Fills the review list and the "Retry missed" button from the current attempt's answers.
+     */
+    renderReview() {
+        const reviewList = this.getElement('review-list');
+        reviewList.innerHTML = '';
+        this.answers.forEach((record, index) => {
+            reviewList.appendChild(this.createReviewItem(record, index));
+        });
+        
+        const missedCount = this.answers.filter(record => !record.correct).length;
+        const retryButton = this.getElement('retry-missed-btn');
+        retryButton.disabled = missedCount === 0;
+        retryButton.textContent = missedCount === 0
+            ? this.t('review.noMissed')
+            : this.t('review.retryMissed', { count: missedCount });
+    }
+    
+    /**
+     * Creates a review list item for an answered question.
+     * Options use the same card markup and correct/incorrect styling as during the quiz.
+     * @param {AnswerRecord} record - The answer to review
+     * @param {number} index - The index of the question in the attempt
+     * @returns {HTMLElement} The created review item element
+     */
+    createReviewItem(record, index) {
+        const correctOptions = this.getCorrectOptions(record.answer);
+        const selectedOptions = record.selected === null ? [] : this.getCorrectOptions(record.selected);
+        const item = document.createElement('li');
+        item.className = 'container-grid review-item';
+        
+        // A div rather than an h3, since code blocks in the question are not allowed in headings
+        const heading = document.createElement('div');
+        heading.className = 'review-question subtitle';
+        heading.setAttribute('role', 'heading');
+        heading.setAttribute('aria-level', '3');
+        heading.append(`${index + 1}. `, renderMarkup(record.question));
+        item.appendChild(heading);
+        
+        const optionsList = document.createElement('div');
+        optionsList.className = 'container-grid options-grid';
+        
+        record.options.forEach((option, optionIndex) => {
+            const card = document.createElement('div');
+            card.className = 'option-card review-option start';
+            
+            const template = this.getElement('optionTemplate');
+            const clone = template.content.cloneNode(true);
+            clone.querySelector('.letter-text').textContent = this.getOptionLetter(optionIndex);
+            clone.querySelector('.option-text').replaceChildren(renderMarkup(option));
+            card.appendChild(clone);
+            
+            if (correctOptions.includes(option)) {
+                this.markOptionCard(card, 'correct');
+            } else if (selectedOptions.includes(option)) {
+                this.markOptionCard(card, 'incorrect');
+            } else {
+                this.markOptionCard(card, null);
+            }
+            
+            optionsList.appendChild(card);
+        });
+        
+        // Free-text questions have no options to show, only the summary
+        if (record.options.length > 0) {
+            item.appendChild(optionsList);
+        }
+        
+        const selected = record.selected === null ? null : this.formatAnswer(record.selected);
+        const answer = this.formatAnswer(record.answer);
+        const summary = document.createElement('p');
+        summary.className = 'review-summary';
+        if (selected === null) {
+            summary.textContent = this.t('review.timedOut', { answer });
+        } else {
+            summary.textContent = this.t(record.correct ? 'review.correct' : 'review.incorrect', { selected, answer });
+        }
+        item.appendChild(summary);
+        
+        if (record.explanation) {
+            const explanation = document.createElement('p');
+            explanation.className = 'review-explanation';
+            explanation.textContent = record.explanation;
+            item.appendChild(explanation);
+        }
+        
+        if (record.links && record.links.length > 0) {
+            const links = document.createElement('ul');
+            links.className = 'explanation-links';
+            this.renderLinks(links, record.links);
+            item.appendChild(links);
+        }
+        
+        return item;
+    }
+    
+    /**
+     * Starts a new attempt containing only the questions answered incorrectly in the last attempt.
+     */
+    retryMissed() {
+        const missed = this.answers.filter(record => !record.correct).map(record => record.question);
+        if (missed.length === 0) return;
+        
+        // The source quiz keeps the original option order, and for practice and custom sessions it
+        // is the only place the mixed questions are kept
+        const quiz = this.sourceQuiz;
+        this.sourceQuiz = {
+            ...quiz,
+            questions: quiz.questions.filter(question => missed.includes(question.question))
+        };
+        this.mode = 'retry';
+        this.restartQuiz();
+    }
+    
+    /**
+     * Shows the start screen and returns to subject selection.
+     * Hides all other screens and shows the start screen with subject cards. Leaves the live session, if any.
+     */
+    showStartScreen() {
+        this.clearTimers();
+        this.leaveLiveSession();
+        this.hideAllScreens();
+        const startScreen = this.getElement('start-screen');
+        startScreen.classList.remove('screen-hidden');
+        startScreen.classList.add('screen-visible');
+        this.getElement('subject-info').style.display = 'none';
+        this.setRoute('/');
+        
+        // Re-render subjects so their stats include the latest attempt
+        this.renderSubjects();
+        this.renderResumePrompt();
+        this.addAnimation('start-screen', 'fade-in');
+        
+        // Focus first subject card for accessibility
+        setTimeout(() => {
+            const firstSubject = this.root.querySelector('.subject-card');
+            if (firstSubject) firstSubject.focus();
+        }, 100);
+    }
+    
+    /**
+     * Shows the leaderboard screen, where profiles are ranked per subject and can be created,
+     * deleted, exported and imported.
+     */
+    showLeaderboardScreen() {
+        this.clearTimers();
+        this.hideAllScreens();
+        const leaderboardScreen = this.getElement('leaderboard-screen');
+        leaderboardScreen.classList.remove('screen-hidden');
+        leaderboardScreen.classList.add('screen-visible');
+        this.getElement('subject-info').style.display = 'none';
+        this.setRoute('/leaderboard');
+        
+        this.renderLeaderboardScreen();
+        this.addAnimation('leaderboard-screen', 'fade-in');
+        
+        setTimeout(() => {
+            this.getElement('leaderboard-screen-heading').focus();
+        }, 100);
+    }
+    
+    /**
+     * Fills the leaderboard screen: the subject picker, the rankings, the profiles and the avatars
+     * to pick for a new profile. The last quiz played is ranked first, if it is a subject.
+     */
+    renderLeaderboardScreen() {
+        const subjects = this.quizzes.map(quiz => this.getQuizKey(quiz));
+        if (!subjects.includes(this.leaderboardSubject)) {
+            this.leaderboardSubject = this.currentQuiz && subjects.includes(this.getQuizKey(this.currentQuiz))
+                ? this.getQuizKey(this.currentQuiz)
+                : subjects[0] || null;
+        }
+        
+        const select = this.getElement('leaderboard-subject');
+        select.innerHTML = '';
+        subjects.forEach(subject => {
+            const option = document.createElement('option');
+            option.value = subject;
+            option.textContent = this.getDisplayTitle(subject);
+            select.appendChild(option);
+        });
+        select.value = this.leaderboardSubject || '';
+        
+        this.renderProfileRankings();
+        this.renderProfileList();
+        this.renderAvatarChoices();
+    }
+    
+    /**
+     * Compares two results by percentage correct, then by time.
+     * @param {{score: number, total: number, duration: number}} a - The first result
+     * @param {{score: number, total: number, duration: number}} b - The second result
+     * @returns {number} Negative if a ranks higher, positive if b does, 0 for a tie
+     */
+    compareResults(a, b) {
+        return (b.score / b.total) - (a.score / a.total) || a.duration - b.duration;
+    }
+    
+    /**
+     * Ranks the profiles that have finished a standard attempt at a subject, by their best
+     * score and then by the fastest time they got that score in.
+     * @param {string} subject - The quiz key (see getQuizKey)
+     * @returns {Array<ProfileRanking>} The rankings, best first
+     */
+    getProfileRankings(subject) {
+        const rankings = this.profiles
+            .map(profile => {
+                const attempts = this.history.filter(attempt => attempt.profile === profile.id &&
+                    attempt.subject === subject && attempt.mode === 'standard' && attempt.total > 0);
+                if (attempts.length === 0) return null;
+                
+                const best = attempts.reduce((best, attempt) => this.compareResults(attempt, best) < 0 ? attempt : best);
+                return {
+                    profile,
+                    rank: 0,
+                    score: best.score,
+                    total: best.total,
+                    duration: best.duration,
+                    attempts: attempts.length
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => this.compareResults(a, b));
+        
+        rankings.forEach((ranking, index) => {
+            const previous = rankings[index - 1];
+            ranking.rank = previous && this.compareResults(previous, ranking) === 0 ? previous.rank : index + 1;
+        });
+        return rankings;
+    }
+    
+    /**
+     * Fills the leaderboard table for the subject picked.
+     */
+    renderProfileRankings() {
+        const body = this.getElement('leaderboard-table-body');
+        const subject = this.leaderboardSubject;
+        const rankings = subject ? this.getProfileRankings(subject) : [];
+        
+        body.innerHTML = '';
+        rankings.forEach(ranking => {
+            const row = document.createElement('tr');
+            if (ranking.profile.id === this.profileId) row.className = 'current-profile';
+            
+            const cells = [
+                ranking.rank,
+                this.getProfileLabel(ranking.profile),
+                this.t('players.score', { score: ranking.score, total: ranking.total }),
+                this.formatDuration(ranking.duration),
+                ranking.attempts
+            ];
+            cells.forEach((value, index) => {
+                const cell = document.createElement(index === 1 ? 'th' : 'td');
+                if (index === 1) cell.scope = 'row';
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+        
+        this.getElement('leaderboard-table').hidden = rankings.length === 0;
+        const empty = this.getElement('leaderboard-empty');
+        empty.hidden = rankings.length > 0;
+        empty.textContent = subject ? this.t('profiles.empty', { subject: this.getDisplayTitle(subject) }) : '';
+    }
+    
+    /**
+     * Lists the profiles with a delete button each, and enables exporting when there are any.
+     */
+    renderProfileList() {
+        const list = this.getElement('profile-list');
+        list.innerHTML = '';
+        
+        this.profiles.forEach(profile => {
+            const item = document.createElement('li');
+            item.className = 'profile-item between';
+            
+            const name = document.createElement('span');
+            name.className = 'profile-name';
+            name.textContent = profile.id === this.profileId
+                ? `${this.getProfileLabel(profile)} (${this.t('profiles.playing')})`
+                : this.getProfileLabel(profile);
+            
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.className = 'delete-profile-btn';
+            deleteButton.dataset.profile = profile.id;
+            deleteButton.textContent = '×';
+            deleteButton.setAttribute('aria-label', this.t('profiles.delete', { name: profile.name }));
+            
+            item.append(name, deleteButton);
+            list.appendChild(item);
+        });
+        
+        this.getElement('no-profiles').hidden = this.profiles.length > 0;
+        this.getElement('export-profiles-btn').disabled = this.profiles.length === 0;
+    }
+    
+    /**
+     * Fills the new profile form with a radio button per avatar, keeping the one picked.
+     */
+    renderAvatarChoices() {
+        const container = this.getElement('avatar-choices');
+        const checked = container.querySelector('input:checked');
+        const selected = checked ? checked.value : Object.keys(PROFILE_AVATARS)[0];
+        container.innerHTML = '';
+        
+        Object.entries(PROFILE_AVATARS).forEach(([key, avatar]) => {
+            const label = document.createElement('label');
+            label.className = 'avatar-choice center';
+            label.title = this.t(`profiles.avatars.${key}`);
+            
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'profile-avatar';
+            input.value = key;
+            input.checked = key === selected;
+            input.setAttribute('aria-label', this.t(`profiles.avatars.${key}`));
+            
+            const emoji = document.createElement('span');
+            emoji.setAttribute('aria-hidden', 'true');
+            emoji.textContent = avatar;
+            
+            label.append(input, emoji);
+            container.appendChild(label);
+        });
+    }
+    
+    /**
+     * Creates a profile from the new profile form and starts playing as it.
+     * @param {SubmitEvent} e - The form's submit event
+     */
+    handleProfileSubmit(e) {
+        e.preventDefault();
+        const nameInput = this.getElement('profile-name');
+        const name = nameInput.value.trim().slice(0, MAX_PLAYER_NAME_LENGTH);
+        if (!name) {
+            this.showError(this.t('profiles.nameRequired'));
+            nameInput.focus();
+            return;
+        }
+        
+        const checked = this.getElement('avatar-choices').querySelector('input:checked');
+        /** @type {Profile} */
+        const profile = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            avatar: checked ? checked.value : Object.keys(PROFILE_AVATARS)[0],
+            createdAt: Date.now()
+        };
+        
+        this.profiles.push(profile);
+        this.saveProfiles();
+        nameInput.value = '';
+        this.setActiveProfile(profile.id);
+        this.renderProfileRankings();
+        this.announceToScreenReader(this.t('profiles.created', { name }));
+    }
+    
+    /**
+     * Deletes a profile together with its attempts. Deleting the active profile switches to a guest.
+     * @param {string} id - ID of the profile to delete
+     */
+    deleteProfile(id) {
+        const profile = this.findProfile(id);
+        if (!profile) return;
+        
+        this.profiles = this.profiles.filter(entry => entry !== profile);
+        this.history = this.history.filter(attempt => attempt.profile !== id);
+        this.saveProfiles();
+        this.saveHistory();
+        
+        if (this.profileId === id) {
+            this.setActiveProfile(null);
+        } else {
+            this.renderProfileOptions();
+            this.renderProfileList();
+        }
+        this.renderProfileRankings();
+        this.announceToScreenReader(this.t('profiles.deleted', { name: profile.name }));
+    }
+    
+    /**
+     * Downloads the profiles and their attempts as a JSON file.
+     */
+    exportProfiles() {
+        /** @type {ProfileExport} */
+        const data = {
+            version: PROFILE_EXPORT_VERSION,
+            profiles: this.profiles,
+            attempts: this.history.filter(attempt => this.findProfile(attempt.profile))
+        };
+        const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+        this.downloadBlob(blob, 'quiz-profiles.json');
+        
+        this.announceToScreenReader(this.t('profiles.exported', { count: this.profiles.length }));
+    }
+    
+    /**
+     * Reads a profiles file chosen in the file picker and imports it.
+     * @async
+     * @param {File} file - The file to import
+     */
+    async importProfilesFile(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            console.error('Error reading profiles:', error);
+            this.showError(this.t('import.notJson', { file: file.name }));
+            return;
+        }
+        
+        this.importProfiles(data, file.name);
+    }
+    
+    /**
+     * Validates and imports exported profiles. Profiles already here are replaced by the imported
+     * copy with the same ID; attempts already here are not added twice.
+     * @param {ProfileExport} data - The parsed file
+     * @param {string} sourceName - The file name, shown in messages
+     * @returns {boolean} Whether the profiles were imported
+     */
+    importProfiles(data, sourceName) {
+        const errors = this.validateProfileData(data);
+        
+        if (errors.length > 0) {
+            const listed = errors.slice(0, MAX_REPORTED_ERRORS).join('; ');
+            const more = errors.length - MAX_REPORTED_ERRORS;
+            this.showError(more > 0
+                ? this.t('profiles.invalidMore', { source: sourceName, errors: listed, count: more })
+                : this.t('profiles.invalid', { source: sourceName, errors: listed }));
+            return false;
+        }
+        
+        const importedIds = data.profiles.map(profile => profile.id);
+        this.profiles = [
+            ...this.profiles.filter(profile => !importedIds.includes(profile.id)),
+            ...data.profiles.map(({ id, name, avatar, createdAt }) => ({
+                id,
+                name: name.trim().slice(0, MAX_PLAYER_NAME_LENGTH),
+                avatar,
+                createdAt
+            }))
+        ];
+        
+        const getAttemptKey = attempt => `${attempt.profile}|${attempt.subject}|${attempt.startedAt}`;
+        const knownAttempts = new Set(this.history.map(getAttemptKey));
+        this.history = [
+            ...this.history,
+            ...data.attempts.filter(attempt => !knownAttempts.has(getAttemptKey(attempt)))
+        ].sort((a, b) => a.completedAt - b.completedAt);
+        
+        this.saveProfiles();
+        this.saveHistory();
+        this.renderProfileOptions();
+        if (this.getElement('leaderboard-screen').classList.contains('screen-visible')) {
+            this.renderLeaderboardScreen();
+        }
+        
+        this.announceToScreenReader(this.t('profiles.imported', { count: data.profiles.length, source: sourceName }));
+        return true;
+    }
+    
+    /**
+     * Checks that exported profiles have the shape the app expects.
+     * Each error is prefixed with the path of the bad value, e.g. "profiles[0].avatar: ...".
+     * @param {*} data - The parsed file
+     * @returns {Array<string>} Validation errors; empty when the data is valid
+     */
+    validateProfileData(data) {
+        const errors = [];
+        const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        
+        if (!data || typeof data !== 'object' || !Array.isArray(data.profiles)) {
+            return [`profiles: ${this.t('validation.profiles')}`];
+        }
+        
+        const ids = new Set();
+        data.profiles.forEach((profile, index) => {
+            const path = `profiles[${index}]`;
+            
+            if (!profile || typeof profile !== 'object') {
+                errors.push(`${path}: ${this.t('validation.object')}`);
+                return;
+            }
+            
+            if (!isNonEmptyString(profile.id)) {
+                errors.push(`${path}.id: ${this.t('validation.nonEmptyString')}`);
+            } else if (ids.has(profile.id)) {
+                errors.push(`${path}.id: ${this.t('validation.duplicate', { value: profile.id })}`);
+            } else {
+                ids.add(profile.id);
+            }
+            
+            if (!isNonEmptyString(profile.name)) {
+                errors.push(`${path}.name: ${this.t('validation.nonEmptyString')}`);
+            }
+            
+            if (!Object.hasOwn(PROFILE_AVATARS, profile.avatar)) {
+                errors.push(`${path}.avatar: ${this.t('validation.type', { types: Object.keys(PROFILE_AVATARS).join(', ') })}`);
+            }
+            
+            if (!isNumber(profile.createdAt)) {
+                errors.push(`${path}.createdAt: ${this.t('validation.number')}`);
+            }
+        });
+        
+        if (!Array.isArray(data.attempts)) {
+            errors.push(`attempts: ${this.t('validation.attempts')}`);
+            return errors;
+        }
+        
+        data.attempts.forEach((attempt, index) => {
+            const path = `attempts[${index}]`;
+            
+            if (!attempt || typeof attempt !== 'object') {
+                errors.push(`${path}: ${this.t('validation.object')}`);
+                return;
+            }
+            
+            if (!ids.has(attempt.profile)) {
+                errors.push(`${path}.profile: ${this.t('validation.unknownProfile', { value: String(attempt.profile) })}`);
+            }
+            
+            if (!isNonEmptyString(attempt.subject)) {
+                errors.push(`${path}.subject: ${this.t('validation.nonEmptyString')}`);
+            }
+            
+            ['score', 'total', 'startedAt', 'completedAt', 'duration'].forEach(field => {
+                if (!isNumber(attempt[field])) {
+                    errors.push(`${path}.${field}: ${this.t('validation.number')}`);
+                }
+            });
+            
+            if (!Array.isArray(attempt.answers)) {
+                errors.push(`${path}.answers: ${this.t('validation.array')}`);
+            }
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Shows the worksheet screen, where a quiz is printed or exported with its answer key.
+     */
+    showWorksheetScreen() {
+        this.clearTimers();
+        this.hideAllScreens();
+        const worksheetScreen = this.getElement('worksheet-screen');
+        worksheetScreen.classList.remove('screen-hidden');
+        worksheetScreen.classList.add('screen-visible');
+        this.getElement('subject-info').style.display = 'none';
+        this.setRoute('/worksheet');
+        
+        this.renderWorksheetScreen();
+        this.addAnimation('worksheet-screen', 'fade-in');
+        
+        setTimeout(() => {
+            this.getElement('worksheet-heading').focus();
+        }, 100);
+    }
+    
+    /**
+     * Fills the subject picker of the worksheet screen with every quiz and shows the worksheet.
+     * The subject picked stays picked, unless the quiz is gone.
+     */
+    renderWorksheetScreen() {
+        const select = this.getElement('worksheet-subject');
+        const picked = select.value;
+        select.innerHTML = '';
+        
+        this.quizzes.forEach(quiz => {
+            const option = document.createElement('option');
+            option.value = this.getQuizKey(quiz);
+            option.textContent = quiz.title;
+            select.appendChild(option);
+        });
+        
+        if (this.quizzes.some(quiz => this.getQuizKey(quiz) === picked)) {
+            select.value = picked;
+        } else {
+            this.getElement('worksheet-count').value = '';
+        }
+        
+        this.buildWorksheet();
+    }
+    
+    /**
+     * Reads the worksheet options. The question count is kept between 1 and the number of questions
+     * in the quiz; an empty count means all of them.
+     * @returns {WorksheetSettings|null} The options, or null if there is no quiz to print
+     */
+    readWorksheetSettings() {
+        const subject = this.getElement('worksheet-subject').value;
+        const quiz = this.quizzes.find(entry => this.getQuizKey(entry) === subject);
+        if (!quiz) return null;
+        
+        const total = quiz.questions.length;
+        const countInput = this.getElement('worksheet-count');
+        const count = parseInt(countInput.value, 10);
+        
+        return {
+            subject,
+            count: Number.isInteger(count) ? Math.min(Math.max(count, 1), total) : total,
+            shuffleQuestions: this.getElement('worksheet-shuffle-questions').checked,
+            shuffleOptions: this.getElement('worksheet-shuffle-options').checked
+        };
+    }
+    
+    /**
+     * Builds the worksheet from the options picked and shows it. Shuffling happens here, once, so
+     * the printout, the Markdown and the CSV all share the same order and option letters.
+     */
+    buildWorksheet() {
+        const settings = this.readWorksheetSettings();
+        const empty = !settings;
+        
+        ['print-worksheet-btn', 'worksheet-markdown-btn', 'worksheet-csv-btn'].forEach(id => {
+            this.getElement(id).disabled = empty;
+        });
+        if (empty) {
+            this.worksheet = null;
+            this.renderWorksheet();
+            return;
+        }
+        
+        const quiz = this.quizzes.find(entry => this.getQuizKey(entry) === settings.subject);
+        const countInput = this.getElement('worksheet-count');
+        countInput.max = String(quiz.questions.length);
+        countInput.value = String(settings.count);
+        
+        const random = createSeededRandom(Math.random().toString(36).slice(2, 8));
+        let questions = settings.shuffleQuestions ? shuffleArray(quiz.questions, random) : quiz.questions;
+        questions = questions.slice(0, settings.count);
+        if (settings.shuffleOptions) {
+            // As in shuffleQuiz(), true/false keeps its order and free-text questions have no options
+            questions = questions.map(question => (
+                ['single', 'multiple'].includes(this.getQuestionType(question))
+                    ? { ...question, options: shuffleArray(question.options, random) }
+                    : question
+            ));
+        }
+        
+        this.worksheet = { ...quiz, questions };
+        this.renderWorksheet();
+    }
+    
+    /**
+     * Shows the worksheet: the questions with lettered options and a line for typed answers, then
+     * the answer key, which starts on a new page when printed.
+     */
+    renderWorksheet() {
+        const questionList = this.getElement('worksheet-questions');
+        const answerList = this.getElement('worksheet-answers');
+        questionList.innerHTML = '';
+        answerList.innerHTML = '';
+        this.getElement('worksheet').hidden = !this.worksheet;
+        if (!this.worksheet) return;
+        
+        this.getElement('worksheet-title').textContent = this.t('worksheet.heading', {
+            subject: this.getDisplayTitle(this.worksheet.title)
+        });
+        
+        this.worksheet.questions.forEach(question => {
+            const type = this.getQuestionType(question);
+            const item = document.createElement('li');
+            item.className = 'worksheet-question';
+            
+            const text = document.createElement('div');
+            text.className = 'worksheet-question-text';
+            text.appendChild(renderMarkup(question.question));
+            item.appendChild(text);
+            
+            if (type !== 'single') {
+                const hint = document.createElement('p');
+                hint.className = 'worksheet-hint';
+                hint.textContent = this.t(`quiz.hints.${type}`);
+                item.appendChild(hint);
+            }
+            
+            if (type === 'text') {
+                const line = document.createElement('p');
+                line.className = 'worksheet-answer-line';
+                line.textContent = this.t('worksheet.answerLine');
+                item.appendChild(line);
+            } else {
+                const options = document.createElement('ol');
+                options.className = 'worksheet-options';
+                options.type = 'A';
+                this.getQuestionOptions(question).forEach(option => {
+                    const optionItem = document.createElement('li');
+                    optionItem.appendChild(renderMarkup(option));
+                    options.appendChild(optionItem);
+                });
+                item.appendChild(options);
+            }
+            questionList.appendChild(item);
+            
+            const answer = document.createElement('li');
+            answer.textContent = this.getWorksheetAnswer(question);
+            answerList.appendChild(answer);
+        });
+    }
+    
+    /**
+     * Writes the answer key entry of a question: the letters of the correct options with their
+     * text, or the expected text and any other accepted answers for 'text' questions.
+     * @param {Question} question - The question
+     * @returns {string} The answer, as plain text
+     */
+    getWorksheetAnswer(question) {
+        if (this.getQuestionType(question) === 'text') {
+            return question.accept && question.accept.length > 0
+                ? `${question.answer} (${this.t('worksheet.alsoAccepted', { answers: question.accept.join(', ') })})`
+                : question.answer;
+        }
+        
+        const options = this.getQuestionOptions(question);
+        const correct = this.getCorrectOptions(question.answer);
+        const letters = options
+            .map((option, index) => (correct.includes(option) ? this.getOptionLetter(index) : null))
+            .filter(Boolean);
+        return `${letters.join(', ')} – ${this.formatAnswer(correct)}`;
+    }
+    
+    /**
+     * Opens the browser's print dialog. The print stylesheet shows only the worksheet and puts the
+     * answer key on its own page.
+     */
+    printWorksheet() {
+        if (!this.worksheet) return;
+        window.print();
+    }
+    
+    /**
+     * Downloads the worksheet and answer key as Markdown. Code blocks, inline code and bold carry
+     * over; other text is escaped so options such as "<body>" are not read as HTML.
+     */
+    exportWorksheetMarkdown() {
+        if (!this.worksheet) return;
+        
+        const quiz = this.worksheet;
+        const lines = [
+            `# ${escapeMarkdown(this.t('worksheet.heading', { subject: this.getDisplayTitle(quiz.title) }))}`,
+            '',
+            `${this.t('worksheet.name')} ____________________`,
+            ''
+        ];
+        
+        quiz.questions.forEach((question, index) => {
+            const type = this.getQuestionType(question);
+            lines.push(`## ${index + 1}.`, '', toMarkdown(question.question), '');
+            if (type !== 'single') lines.push(`*${this.t(`quiz.hints.${type}`)}*`, '');
+            
+            if (type === 'text') {
+                lines.push(`${this.t('worksheet.answerLine')} ____________________`, '');
+            } else {
+                this.getQuestionOptions(question).forEach((option, optionIndex) => {
+                    // Continuation lines are indented to stay inside the list item
+                    lines.push(`- **${this.getOptionLetter(optionIndex)}.** ${toMarkdown(option).replace(/\n/g, '\n  ')}`);
+                });
+                lines.push('');
+            }
+        });
+        
+        lines.push('---', '', `## ${this.t('worksheet.answerKey')}`, '');
+        quiz.questions.forEach((question, index) => {
+            lines.push(`${index + 1}. ${escapeMarkdown(this.getWorksheetAnswer(question))}`);
+        });
+        
+        const blob = new Blob([`${lines.join('\n')}\n`], { type: 'text/markdown' });
+        this.downloadBlob(blob, `${this.toFileName(quiz.title)}-worksheet.md`);
+        this.announceToScreenReader(this.t('worksheet.exported', { subject: this.getDisplayTitle(quiz.title), format: 'Markdown' }));
+    }
+    
+    /**
+     * Downloads the worksheet as CSV, with the answer key in the answer column. The file can be
+     * edited in a spreadsheet and imported again.
+     */
+    exportWorksheetCsv() {
+        if (!this.worksheet) return;
+        
+        const quiz = this.worksheet;
+        const blob = new Blob([toCsv(this.quizzesToCsvRows([quiz]))], { type: 'text/csv' });
+        this.downloadBlob(blob, `${this.toFileName(quiz.title)}-worksheet.csv`);
+        this.announceToScreenReader(this.t('worksheet.exported', { subject: this.getDisplayTitle(quiz.title), format: 'CSV' }));
+    }
+    
+    /**
+     * Turns quizzes into quiz CSV rows: a header row, then one row per question. Choice answers are
+     * written as option letters, separated by semicolons; true/false and text answers as text; links
+     * as "Title | URL", separated by semicolons.
+     * @param {Array<Quiz>} quizzes - The quizzes
+     * @returns {Array<Array<string>>} The rows, the header row first
+     */
+    quizzesToCsvRows(quizzes) {
+        const questions = quizzes.flatMap(quiz => quiz.questions.map(question => ({ quiz, question })));
+        const optionCount = Math.max(0, ...questions.map(({ question }) => (question.options || []).length));
+        const letters = Array.from({ length: optionCount }, (_, index) => this.getOptionLetter(index));
+        
+        const rows = questions.map(({ quiz, question }) => {
+            const type = this.getQuestionType(question);
+            const options = question.options || [];
+            const correct = this.getCorrectOptions(question.answer);
+            const answer = ['single', 'multiple'].includes(type)
+                ? options.map((option, index) => (correct.includes(option) ? this.getOptionLetter(index) : null)).filter(Boolean)
+                : correct;
+            
+            return [
+                quiz.title,
+                quiz.icon,
+                question.type || '',
+                question.question,
+                ...letters.map((letter, index) => options[index] ?? ''),
+                answer.join(CSV_LIST_SEPARATOR),
+                (question.accept || []).join(CSV_LIST_SEPARATOR),
+                question.explanation || '',
+                (question.links || []).map(link => this.formatLink(link)).join(CSV_LIST_SEPARATOR),
+                question.difficulty || '',
+                (question.tags || []).join(CSV_LIST_SEPARATOR)
+            ];
+        });
+        
+        return [[...CSV_LEADING_COLUMNS, ...letters, ...CSV_TRAILING_COLUMNS], ...rows];
+    }
+    
+    /**
+     * Reads a quiz CSV into the QuizData shape. The header row names the columns, in any order and
+     * case: quiz and question are required; icon, type, A-Z (one column per option), answer, accept,
+     * explanation, links, difficulty and tags are optional. Rows with the same quiz title form one quiz.
+     * Choice answers may be option letters or option text; links are written as "Title | URL"; several
+     * answers, accepted answers, links and tags are separated by semicolons. The result still needs
+     * validateQuizData().
+     * @param {string} text - The CSV text
+     * @returns {CsvImport} The quiz data and any problems reading it
+     */
+    csvToQuizData(text) {
+        const [header = [], ...rows] = parseCsv(text);
+        const columns = header.map(name => name.trim().toLowerCase());
+        if (!columns.includes('quiz') || !columns.includes('question')) {
+            return { data: { quizzes: [] }, errors: [this.t('import.csvColumns')] };
+        }
+        
+        const optionColumns = columns
+            .map((name, index) => ({ name, index }))
+            .filter(({ name }) => /^[a-z]$/.test(name))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        const splitList = (value) => value.split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+        
+        /** @type {Map<string, Quiz>} */
+        const quizzes = new Map();
+        const errors = [];
+        
+        rows.forEach((fields, rowIndex) => {
+            const cell = (name) => (fields[columns.indexOf(name)] ?? '').trim();
+            // Row 1 is the header
+            const path = this.t('import.csvRow', { row: rowIndex + 2 });
+            const title = cell('quiz');
+            const type = cell('type').toLowerCase();
+            const options = optionColumns.map(({ index }) => (fields[index] ?? '').trim()).filter(Boolean);
+            
+            if (!quizzes.has(title)) {
+                quizzes.set(title, { title, icon: cell('icon') || CUSTOM_QUIZ.icon, questions: [] });
+            }
+            
+            /** @type {Question} */
+            const question = {
+                ...(type && { type }),
+                question: cell('question'),
+                ...(options.length > 0 && { options }),
+                answer: ''
+            };
+            
+            const answerCell = cell('answer');
+            if (type === 'text') {
+                question.answer = answerCell;
+                const accept = splitList(cell('accept'));
+                if (accept.length > 0) question.accept = accept;
+            } else if (type === 'boolean' && options.length === 0) {
+                question.answer = BOOLEAN_OPTIONS.find(option => option.toLowerCase() === answerCell.toLowerCase()) || answerCell;
+            } else {
+                // Letters name options by position; anything else is taken as option text
+                const toOption = (value) => (/^[a-z]$/i.test(value)
+                    ? options[value.toUpperCase().charCodeAt(0) - 65]
+                    : value);
+                const values = type === 'multiple' ? splitList(answerCell) : [answerCell];
+                const answers = values.map(toOption);
+                
+                if (answers.some(answer => answer === undefined)) {
+                    errors.push(`${path}, answer: ${this.t('validation.csvAnswer')}`);
+                }
+                question.answer = type === 'multiple' ? answers.filter(Boolean) : answers[0] || '';
+            }
+            
+            const explanation = cell('explanation');
+            const links = splitList(cell('links')).map(link => this.parseLink(link));
+            const difficulty = cell('difficulty').toLowerCase();
+            const tags = splitList(cell('tags'));
+            if (explanation) question.explanation = explanation;
+            if (links.length > 0) question.links = links;
+            if (difficulty) question.difficulty = difficulty;
+            if (tags.length > 0) question.tags = tags;
+            
+            quizzes.get(title).questions.push(question);
+        });
+        
+        return { data: { quizzes: [...quizzes.values()] }, errors };
+    }
+    
+    /**
+     * Shows the live screen, where a quiz is presented to a live session or a session is joined.
+     */
+    showLiveScreen() {
+        this.clearTimers();
+        this.hideAllScreens();
+        const liveScreen = this.getElement('live-screen');
+        liveScreen.classList.remove('screen-hidden');
+        liveScreen.classList.add('screen-visible');
+        this.getElement('subject-info').style.display = 'none';
+        this.setRoute('/live');
+        
+        this.renderLiveScreen();
+        this.addAnimation('live-screen', 'fade-in');
+        
+        setTimeout(() => {
+            this.getElement('live-heading').focus();
+        }, 100);
+    }
+    
+    /**
+     * Fills the subject picker of the live screen with every quiz and shows the lobby of the
+     * session, if there is one.
+     */
+    renderLiveScreen() {
+        const select = this.getElement('live-subject');
+        const picked = select.value;
+        select.innerHTML = '';
+        
+        this.quizzes.forEach(quiz => {
+            const option = document.createElement('option');
+            option.value = this.getQuizKey(quiz);
+            option.textContent = quiz.title;
+            select.appendChild(option);
+        });
+        if (this.quizzes.some(quiz => this.getQuizKey(quiz) === picked)) {
+            select.value = picked;
+        }
+        
+        this.renderLiveLobby();
+    }
+    
+    /**
+     * Shows who has joined the live session and what the session waits for. Without a session,
+     * the options to present or join one are shown instead.
+     */
+    renderLiveLobby() {
+        const live = this.live;
+        this.getElement('live-setup').hidden = Boolean(live);
+        this.getElement('live-lobby').hidden = !live;
+        if (!live) return;
+        
+        const presenting = live.role === 'host';
+        const joined = presenting || live.participants.some(participant => participant.id === live.id);
+        const count = live.participants.length;
+        
+        this.getElement('live-code-display').textContent = live.code;
+        this.getElement('live-lobby-subject').textContent = live.subject ? this.getDisplayTitle(live.subject) : '';
+        this.getElement('live-lobby-status').textContent = presenting
+            ? this.t(count === 0 ? 'live.waitingForParticipants' : 'live.participantCount', { count })
+            : this.t(joined ? 'live.waitingForHost' : 'live.connecting', { code: live.code });
+        
+        const list = this.getElement('live-participants');
+        list.innerHTML = '';
+        live.participants.forEach(participant => {
+            const item = document.createElement('li');
+            item.className = participant.id === live.id ? 'live-participant own' : 'live-participant';
+            item.textContent = participant.name;
+            list.appendChild(item);
+        });
+        
+        const startButton = this.getElement('start-live-btn');
+        startButton.hidden = !presenting;
+        startButton.disabled = count === 0;
+        this.getElement('leave-live-btn').textContent = this.t(presenting ? 'live.end' : 'live.leave');
+    }
+    
+    /**
+     * Checks whether this window presents the quiz being played to a live session.
+     * @returns {boolean} Whether the quiz is presented
+     */
+    isPresenting() {
+        return this.mode === 'live' && Boolean(this.live) && this.live.role === 'host';
+    }
+    
+    /**
+     * Opens a live session, leaving the current one.
+     * @param {'host'|'participant'} role - Whether this window presents the quiz or answers it
+     * @param {string} code - The session code
+     * @param {string|null} name - The participant's name, or null for the presenter
+     */
+    openLiveSession(role, code, name) {
+        this.leaveLiveSession();
+        
+        const channel = new LiveChannel(code);
+        channel.addEventListener('message', (e) => this.handleLiveMessage(e.detail));
+        this.live = {
+            role,
+            code,
+            channel,
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            subject: null,
+            participants: [],
+            started: false,
+            revealed: false,
+            submitted: null,
+            standings: null
+        };
+    }
+    
+    /**
+     * Opens a live session that presents the subject picked on the live screen, with a new code for
+     * participants to enter.
+     */
+    hostLiveSession() {
+        const quiz = this.quizzes.find(entry => this.getQuizKey(entry) === this.getElement('live-subject').value);
+        if (!quiz) return;
+        
+        const code = Array.from({ length: LIVE_CODE_LENGTH },
+            () => LIVE_CODE_CHARACTERS[Math.floor(Math.random() * LIVE_CODE_CHARACTERS.length)]).join('');
+        this.openLiveSession('host', code, null);
+        this.live.subject = this.getQuizKey(quiz);
+        this.renderLiveLobby();
+        this.announceToScreenReader(this.t('live.hosting', { code }));
+    }
+    
+    /**
+     * Joins the live session whose code was entered on the live screen.
+     * @param {SubmitEvent} e - The submit event of the join form
+     */
+    handleLiveJoin(e) {
+        e.preventDefault();
+        const codeInput = this.getElement('live-code');
+        const nameInput = this.getElement('live-name');
+        const code = codeInput.value.trim().toUpperCase();
+        const name = nameInput.value.trim().slice(0, MAX_PLAYER_NAME_LENGTH);
+        
+        if (code.length !== LIVE_CODE_LENGTH || [...code].some(char => !LIVE_CODE_CHARACTERS.includes(char))) {
+            this.showError(this.t('live.invalidCode', { length: LIVE_CODE_LENGTH }));
+            codeInput.focus();
+            return;
+        }
+        if (!name) {
+            this.showError(this.t('live.nameRequired'));
+            nameInput.focus();
+            return;
+        }
+        
+        this.openLiveSession('participant', code, name);
+        this.live.channel.post({ type: 'join', id: this.live.id, name });
+        this.renderLiveLobby();
+    }
+    
+    /**
+     * Leaves the live session, if any. The presenter leaving closes the session for everyone.
+     * A live quiz in progress cannot be continued afterwards, so it is dropped.
+     */
+    leaveLiveSession() {
+        if (!this.live) return;
+        
+        const { role, id, channel } = this.live;
+        channel.post(role === 'host' ? { type: 'closed' } : { type: 'leave', id });
+        channel.close();
+        this.live = null;
+        
+        if (this.mode === 'live') {
+            this.mode = 'standard';
+            this.currentQuiz = null;
+        }
+    }
+    
+    /**
+     * Starts presenting the session's quiz, once someone has joined. The start screen's shuffle
+     * settings apply; time limits, scoring and pass-and-play do not.
+     */
+    startLiveQuiz() {
+        if (!this.live || this.live.role !== 'host' || this.live.participants.length === 0) return;
+        
+        const quiz = this.quizzes.find(entry => this.getQuizKey(entry) === this.live.subject);
+        if (!quiz) return;
+        
+        this.sourceQuiz = quiz;
+        this.mode = 'live';
+        this.live.started = true;
+        this.timeLimits = { question: null, total: null };
+        this.shuffle = this.readShuffleSettings();
+        this.scoring = false;
+        this.players = [];
+        this.playerMode = null;
+        this.restartQuiz();
+    }
+    
+    /**
+     * Handles a message from another window of the live session. The presenter listens to
+     * participants and participants to the presenter; everything else is ignored.
+     * @param {LiveMessage} message - The message
+     */
+    handleLiveMessage(message) {
+        if (!this.live) return;
+        
+        if (this.live.role === 'host') {
+            switch (message.type) {
+                case 'join':
+                    this.addLiveParticipant(message);
+                    break;
+                case 'leave':
+                    this.removeLiveParticipant(message.id);
+                    break;
+                case 'answer':
+                    this.recordLiveAnswer(message);
+                    break;
+            }
+            return;
+        }
+        
+        switch (message.type) {
+            case 'lobby':
+                this.updateLiveLobby(message);
+                break;
+            case 'question':
+                this.showLiveQuestion(message);
+                break;
+            case 'reveal':
+                this.showLiveReveal(message);
+                break;
+            case 'end':
+                this.showLiveStandings(message);
+                break;
+            case 'closed':
+                // Once the leaderboard is in, the presenter leaving changes nothing
+                if (!this.live.standings) {
+                    this.showError(this.t('live.closed'));
+                    this.showStartScreen();
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Adds a participant who joined, or renames one who joined again. Participants who join while
+     * the quiz runs get the question on screen, and the leaderboard once it is over.
+     * @param {LiveMessage} message - The 'join' message: {id, name}
+     */
+    addLiveParticipant(message) {
+        const name = typeof message.name === 'string' ? message.name.trim().slice(0, MAX_PLAYER_NAME_LENGTH) : '';
+        if (typeof message.id !== 'string' || !name) return;
+        
+        const participant = this.live.participants.find(entry => entry.id === message.id);
+        if (participant) {
+            participant.name = name;
+        } else {
+            this.live.participants.push({ id: message.id, name, answers: [] });
+            this.announceToScreenReader(this.t('live.joined', { name }));
+        }
+        
+        this.sendLiveLobby();
+        this.renderLiveLobby();
+        
+        if (this.live.standings) {
+            this.live.channel.post({ type: 'end', standings: this.live.standings });
+        } else if (this.isPresenting()) {
+            this.sendLiveQuestion();
+            if (this.live.revealed) this.sendLiveReveal();
+            this.renderLiveTally();
+        }
+    }
+    
+    /**
+     * Removes a participant who left the lobby. Once the quiz has started, their answers stay on
+     * the leaderboard.
+     * @param {string} id - ID of the participant
+     */
+    removeLiveParticipant(id) {
+        if (this.live.started) return;
+        
+        this.live.participants = this.live.participants.filter(participant => participant.id !== id);
+        this.sendLiveLobby();
+        this.renderLiveLobby();
+    }
+    
+    /**
+     * Tells the participants who has joined and which subject is presented.
+     */
+    sendLiveLobby() {
+        this.live.channel.post({
+            type: 'lobby',
+            subject: this.live.subject,
+            participants: this.live.participants.map(({ id, name }) => ({ id, name }))
+        });
+    }
+    
+    /**
+     * Updates the lobby of a participant with what the presenter sent.
+     * @param {LiveMessage} message - The 'lobby' message: {subject, participants}
+     */
+    updateLiveLobby(message) {
+        if (!Array.isArray(message.participants)) return;
+        
+        this.live.subject = typeof message.subject === 'string' ? message.subject : null;
+        this.live.participants = message.participants
+            .filter(participant => participant && typeof participant.id === 'string' && typeof participant.name === 'string')
+            .map(({ id, name }) => ({ id, name, answers: [] }));
+        this.renderLiveLobby();
+    }
+    
+    /**
+     * Sends the current question to the participants, without its answer.
+     */
+    sendLiveQuestion() {
+        const question = this.currentQuiz.questions[this.currentQuestionIndex];
+        
+        this.live.channel.post({
+            type: 'question',
+            quiz: { ...(this.currentQuiz.id && { id: this.currentQuiz.id }), title: this.currentQuiz.title, icon: this.currentQuiz.icon },
+            index: this.currentQuestionIndex,
+            total: this.currentQuiz.questions.length,
+            question: {
+                question: question.question,
+                type: this.getQuestionType(question),
+                options: this.getQuestionOptions(question),
+                ...(question.difficulty && { difficulty: question.difficulty }),
+                ...(question.subject && { subject: question.subject })
+            }
+        });
+    }
+    
+    /**
+     * Sends the answer to the current question to the participants.
+     */
+    sendLiveReveal() {
+        const question = this.currentQuiz.questions[this.currentQuestionIndex];
+        
+        this.live.channel.post({
+            type: 'reveal',
+            index: this.currentQuestionIndex,
+            answer: question.answer,
+            ...(question.accept && { accept: question.accept })
+        });
+    }
+    
+    /**
+     * Checks a participant's answer to the current question and adds it to the tally. Answers to
+     * other questions, answers after the reveal and answers that are not one of the options are ignored.
+     * The time taken is counted from when the presenter showed the question.
+     * @param {LiveMessage} message - The 'answer' message: {id, index, response}
+     */
+    recordLiveAnswer(message) {
+        const participant = this.live.participants.find(entry => entry.id === message.id);
+        if (!participant || !this.isPresenting() || this.live.revealed || message.index !== this.currentQuestionIndex) return;
+        
+        const question = this.currentQuiz.questions[this.currentQuestionIndex];
+        const type = this.getQuestionType(question);
+        const options = this.getQuestionOptions(question);
+        const { response } = message;
+        const isValid = type === 'multiple'
+            ? Array.isArray(response) && response.length > 0 && response.every(option => options.includes(option))
+            : type === 'text'
+                ? typeof response === 'string' && response.trim() !== ''
+                : options.includes(response);
+        if (!isValid) return;
+        
+        const isCorrect = this.isResponseCorrect(question, response);
+        participant.answers[this.currentQuestionIndex] = {
+            question: question.question,
+            type,
+            options,
+            selected: response,
+            answer: question.answer,
+            correct: isCorrect,
+            timeTaken: Date.now() - this.questionStartedAt
+        };
+        this.renderLiveTally();
+    }
+    
+    /**
+     * Shows the live session part of the quiz screen: the presenter gets the tally of answers and
+     * the reveal button in place of the submit button, and participants are told what the session
+     * waits for. Hidden outside live sessions.
+     */
+    renderLivePanel() {
+        const panel = this.getElement('live-panel');
+        panel.hidden = this.mode !== 'live' || !this.live;
+        if (panel.hidden) return;
+        
+        const presenting = this.isPresenting();
+        const status = this.getElement('live-answered');
+        this.getElement('live-tally').hidden = !presenting;
+        this.getElement('reveal-btn').hidden = !presenting || this.live.revealed;
+        
+        if (presenting) {
+            const input = this.root.querySelector('#options-grid .free-text-input');
+            if (input) input.readOnly = true;
+            this.getElement('submit-btn').hidden = true;
+            this.renderLiveTally();
+            return;
+        }
+        
+        status.textContent = this.live.revealed ? this.t('live.waitingForNext') : this.live.submitted ? this.t('live.sent') : '';
+        status.hidden = !status.textContent;
+    }
+    
+    /**
+     * Shows how many participants answered the current question and how often each option was
+     * picked. Typed answers are listed once revealed, grouped the way they are checked, so the room
+     * does not see them while others are still answering.
+     */
+    renderLiveTally() {
+        if (!this.isPresenting()) return;
+        
+        const question = this.currentQuiz.questions[this.currentQuestionIndex];
+        const records = this.live.participants
+            .map(participant => participant.answers[this.currentQuestionIndex])
+            .filter(Boolean);
+        const status = this.getElement('live-answered');
+        let entries = [];
+        
+        if (this.getQuestionType(question) !== 'text') {
+            const correctOptions = this.getCorrectOptions(question.answer);
+            entries = this.getQuestionOptions(question).map((option, index) => ({
+                label: this.getOptionLetter(index),
+                count: records.filter(record => [].concat(record.selected).includes(option)).length,
+                correct: correctOptions.includes(option)
+            }));
+        } else if (this.live.revealed) {
+            const groups = new Map();
+            records.forEach(record => {
+                const key = this.normalizeAnswer(record.selected);
+                const group = groups.get(key) || { label: record.selected, count: 0, correct: record.correct };
+                group.count++;
+                groups.set(key, group);
+            });
+            entries = [...groups.values()].sort((a, b) => b.count - a.count);
+        }
+        
+        status.textContent = this.t('live.answered', { count: records.length, total: this.live.participants.length });
+        status.hidden = false;
+        
+        const list = this.getElement('live-tally');
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = this.live.revealed && entry.correct ? 'live-tally-entry correct start' : 'live-tally-entry start';
+            
+            const label = document.createElement('span');
+            label.className = 'live-tally-label';
+            label.textContent = entry.label;
+            
+            const bar = document.createElement('span');
+            bar.className = 'live-tally-bar';
+            const fill = document.createElement('span');
+            fill.className = 'live-tally-fill';
+            fill.style.inlineSize = `${records.length > 0 ? (entry.count / records.length) * 100 : 0}%`;
+            bar.appendChild(fill);
+            
+            const count = document.createElement('span');
+            count.className = 'live-tally-count';
+            count.textContent = entry.count;
+            
+            item.append(label, bar, count);
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Reveals the answer to the current question, on the presenter's screen and the participants'.
+     * The presenter then moves on with the "Next" button when the room is ready.
+     */
+    revealLiveAnswer() {
+        if (!this.isPresenting() || this.live.revealed) return;
+        
+        const question = this.currentQuiz.questions[this.currentQuestionIndex];
+        this.live.revealed = true;
+        this.answered = true;
+        this.sendLiveReveal();
+        this.showAnswerResult(true);
+        this.renderLivePanel();
+        
+        if (question.explanation || (question.links && question.links.length > 0)) {
+            this.showExplanation(question);
+        } else {
+            this.showNextButton();
+        }
+    }
+    
+    /**
+     * Reads a question sent by the presenter.
+     * @param {LiveMessage} message - The 'question' message: {quiz, index, total, question}
+     * @returns {Question|null} The question, without an answer until it is revealed, or null if the message is malformed
+     */
+    readLiveQuestion(message) {
+        const { quiz, index, total, question } = message;
+        const isText = value => typeof value === 'string';
+        
+        if (!quiz || !isText(quiz.title) || !isText(quiz.icon)) return null;
+        if (!Number.isInteger(index) || !Number.isInteger(total) || index < 0 || index >= total) return null;
+        if (!question || !isText(question.question) || !QUESTION_TYPES.includes(question.type)) return null;
+        if (question.type !== 'text' && !(Array.isArray(question.options) && question.options.every(isText))) return null;
+        
+        return {
+            question: question.question,
+            type: question.type,
+            ...(question.type !== 'text' && { options: question.options }),
+            ...(DIFFICULTY_LEVELS.includes(question.difficulty) && { difficulty: question.difficulty }),
+            ...(isText(question.subject) && { subject: question.subject })
+        };
+    }
+    
+    /**
+     * Shows a question the presenter sent. The first one starts the participant's quiz; a question
+     * that is already shown is left alone.
+     * @param {LiveMessage} message - The 'question' message: {quiz, index, total, question}
+     */
+    showLiveQuestion(message) {
+        const question = this.readLiveQuestion(message);
+        if (!question || this.live.standings) return;
+        
+        if (this.live.started && message.index === this.currentQuestionIndex && this.currentQuiz.questions[message.index]) return;
+        
+        this.live.revealed = false;
+        this.live.submitted = null;
+        this.currentQuestionIndex = message.index;
+        
+        if (this.live.started) {
+            this.currentQuiz.questions[message.index] = question;
+            this.renderQuestion();
+            return;
+        }
+        
+        this.mode = 'live';
+        this.live.started = true;
+        // With an ID, the header shows the quiz under its title in this window's language
+        this.currentQuiz = {
+            ...(typeof message.quiz.id === 'string' && { id: message.quiz.id }),
+            title: message.quiz.title,
+            icon: message.quiz.icon,
+            questions: Array(message.total).fill(null)
+        };
+        this.currentQuiz.questions[message.index] = question;
+        this.score = 0;
+        this.answers = [];
+        this.startedAt = Date.now();
+        this.timeLimits = { question: null, total: null };
+        this.quizDeadline = null;
+        this.scoring = false;
+        this.players = [];
+        this.playerMode = null;
+        this.seed = null;
+        this.emitQuizStart(false);
+        this.startQuiz();
+    }
+    
+    /**
+     * Sends the participant's answer to the presenter and waits for the reveal.
+     */
+    sendLiveAnswer() {
+        const response = this.getResponse();
+        if (response === null) return;
+        
+        this.answered = true;
+        this.live.submitted = { response, timeTaken: Date.now() - this.questionStartedAt };
+        this.live.channel.post({ type: 'answer', id: this.live.id, index: this.currentQuestionIndex, response });
+        
+        const input = this.root.querySelector('#options-grid .free-text-input');
+        if (input) input.readOnly = true;
+        this.getElement('submit-btn').disabled = true;
+        this.renderLivePanel();
+        this.announceToScreenReader(this.t('live.sent'));
+    }
+    
+    /**
+     * Shows the answer the presenter revealed and whether the participant got it right. A question
+     * left unanswered counts as missed.
+     * @param {LiveMessage} message - The 'reveal' message: {index, answer, accept}
+     */
+    showLiveReveal(message) {
+        const question = this.live.started ? this.currentQuiz.questions[message.index] : null;
+        if (!question || message.index !== this.currentQuestionIndex || this.live.revealed) return;
+        
+        const isText = value => typeof value === 'string';
+        if (!isText(message.answer) && !(Array.isArray(message.answer) && message.answer.every(isText))) return;
+        question.answer = message.answer;
+        if (Array.isArray(message.accept) && message.accept.every(isText)) question.accept = message.accept;
+        
+        const submitted = this.live.submitted;
+        const response = submitted ? submitted.response : null;
+        const isCorrect = this.isResponseCorrect(question, response);
+        if (isCorrect) {
+            this.score++;
+        }
+        this.answers.push({
+            question: question.question,
+            type: this.getQuestionType(question),
+            options: this.getQuestionOptions(question),
+            selected: response,
+            answer: question.answer,
+            correct: isCorrect,
+            timeTaken: submitted ? submitted.timeTaken : 0
+        });
+        
+        this.live.revealed = true;
+        this.answered = true;
+        this.getElement('submit-btn').disabled = true;
+        this.showAnswerResult(isCorrect, !submitted);
+        this.renderLivePanel();
+    }
+    
+    /**
+     * Ends the participant's quiz with the leaderboard the presenter sent.
+     * @param {LiveMessage} message - The 'end' message: {standings}
+     */
+    showLiveStandings(message) {
+        if (!this.live.started || this.live.standings || !Array.isArray(message.standings)) return;
+        
+        this.live.standings = message.standings
+            .filter(standing => standing && typeof standing.name === 'string' && Number.isInteger(standing.rank)
+                && Number.isInteger(standing.score) && Number.isFinite(standing.timeTaken))
+            .map(({ name, rank, score, timeTaken }) => ({ name, rank, score, points: null, timeTaken }));
+        this.completeQuiz();
+    }
+    
+    /**
+     * Shows the quiz editor with the saved draft, or a new empty quiz if there is none.
+     */
+    showAuthorScreen() {
+        this.clearTimers();
+        this.hideAllScreens();
+        const authorScreen = this.getElement('author-screen');
+        authorScreen.classList.remove('screen-hidden');
+        authorScreen.classList.add('screen-visible');
+        this.getElement('subject-info').style.display = 'none';
+        this.setRoute('/editor');
+        
+        if (!this.draft) {
+            this.draft = this.loadDraft();
+        }
+        
+        this.renderAuthorSourceOptions();
+        this.renderAuthor();
+        this.addAnimation('author-screen', 'fade-in');
+        
+        setTimeout(() => {
+            this.getElement('author-heading').focus();
+        }, 100);
+    }
+    
+    /**
+     * Creates an empty question for the quiz editor.
+     * @returns {DraftQuestion} A question with empty text and the minimum number of options
+     */
+    createDraftQuestion() {
+        return {
+            type: 'single',
+            question: '',
+            options: new Array(MIN_OPTIONS).fill(''),
+            correctIndexes: [0],
+            accepted: '',
+            explanation: '',
+            links: '',
+            difficulty: '',
+            tags: ''
+        };
+    }
+    
+    /**
+     * Fills in fields missing from a saved draft question, such as drafts saved before
+     * question types existed (which had a single `correctIndex`).
+     * @param {Object} question - The saved draft question
+     * @returns {DraftQuestion} The complete draft question
+     */
+    normalizeDraftQuestion(question) {
+        return {
+            ...this.createDraftQuestion(),
+            ...question,
+            correctIndexes: question.correctIndexes || [question.correctIndex || 0]
+        };
+    }
+    
+    /**
+     * Converts a quiz into an editor draft.
+     * @param {Quiz} quiz - The quiz to convert
+     * @returns {QuizDraft} The draft
+     */
+    quizToDraft(quiz) {
+        return {
+            title: quiz.title,
+            icon: quiz.icon,
+            // The editor has no colour field, but keeps a colour the quiz already has
+            color: quiz.color || '',
+            questions: quiz.questions.map(question => {
+                const type = this.getQuestionType(question);
+                const options = [...this.getQuestionOptions(question)];
+                const correctIndexes = this.getCorrectOptions(question.answer)
+                    .map(answer => options.indexOf(answer))
+                    .filter(index => index >= 0);
+                
+                return {
+                    type,
+                    question: question.question,
+                    options: type === 'text' ? new Array(MIN_OPTIONS).fill('') : options,
+                    correctIndexes: correctIndexes.length > 0 ? correctIndexes : [0],
+                    accepted: type === 'text' ? [question.answer, ...(question.accept || [])].join('\n') : '',
+                    explanation: question.explanation || '',
+                    links: (question.links || []).map(link => this.formatLink(link)).join('\n'),
+                    difficulty: question.difficulty || '',
+                    tags: (question.tags || []).join(', ')
+                };
+            })
+        };
+    }
+    
+    /**
+     * Converts the editor draft into a quiz in the data.json format.
+     * @returns {Quiz} The quiz built from the draft
+     */
+    draftToQuiz() {
+        return {
+            title: this.draft.title.trim(),
+            icon: this.draft.icon.trim(),
+            ...(this.draft.color && { color: this.draft.color }),
+            questions: this.draft.questions.map(question => this.draftQuestionToQuestion(question))
+        };
+    }
+    
+    /**
+     * Converts an editor question into the data.json format.
+     * Single-choice questions leave out `type` so they match the built-in data exactly.
+     * @param {DraftQuestion} question - The editor question
+     * @returns {Question} The question
+     */
+    draftQuestionToQuestion(question) {
+        return { ...this.draftQuestionToAnswerFields(question), ...this.draftQuestionToExtras(question) };
+    }
+    
+    /**
+     * Converts the question text, type, options and answer of an editor question. True/false
+     * questions only list their options when they have their own labels, such as "Yes" and "No".
+     * @param {DraftQuestion} question - The editor question
+     * @returns {Question} The question without explanation, links, difficulty or tags
+     */
+    draftQuestionToAnswerFields(question) {
+        const text = question.question.trim();
+        const options = question.options.map(option => option.trim());
+        const correct = question.correctIndexes.map(index => options[index] || '');
+        
+        switch (question.type) {
+            case 'multiple':
+                return { type: 'multiple', question: text, options, answer: correct };
+            case 'boolean': {
+                const hasOwnLabels = options.some((option, index) => option !== BOOLEAN_OPTIONS[index]);
+                return hasOwnLabels
+                    ? { type: 'boolean', question: text, options, answer: correct[0] || '' }
+                    : { type: 'boolean', question: text, answer: correct[0] || '' };
+            }
+            case 'text': {
+                const [answer = '', ...accept] = question.accepted
+                    .split('\n')
+                    .map(line => line.trim())
+                    .filter(Boolean);
+                return accept.length > 0
+                    ? { type: 'text', question: text, answer, accept }
+                    : { type: 'text', question: text, answer };
+            }
+            default:
+                return { question: text, options, answer: correct[0] || '' };
+        }
+    }
+    
+    /**
+     * Converts the explanation, links, difficulty and tags of an editor question, leaving out empty ones.
+     * Each link line is "Title | URL"; a line without a title uses the URL as its title.
+     * @param {DraftQuestion} question - The editor question
+     * @returns {{explanation?: string, links?: Array<QuestionLink>, difficulty?: Difficulty, tags?: Array<string>}}
+     *     The optional fields
+     */
+    draftQuestionToExtras(question) {
+        const extras = {};
+        const explanation = question.explanation.trim();
+        const links = question.links
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => this.parseLink(line));
+        
+        const tags = question.tags
+            .split(',')
+            .map(tag => tag.trim())
+            .filter(Boolean);
+        
+        if (explanation) extras.explanation = explanation;
+        if (links.length > 0) extras.links = links;
+        if (question.difficulty) extras.difficulty = question.difficulty;
+        if (tags.length > 0) extras.tags = tags;
+        return extras;
+    }
+    
+    /**
+     * Writes a reference link as "Title | URL", as the editor and quiz CSV files show links.
+     * @param {QuestionLink} link - The link
+     * @returns {string} The link as text
+     */
+    formatLink(link) {
+        return `${link.title} | ${link.url}`;
+    }
+    
+    /**
+     * Reads a link written as "Title | URL"; text without a title is taken as the URL and used as the title too.
+     * @param {string} text - The link as text
+     * @returns {QuestionLink} The link
+     */
+    parseLink(text) {
+        const separator = text.lastIndexOf('|');
+        const url = text.slice(separator + 1).trim();
+        const title = separator >= 0 ? text.slice(0, separator).trim() : url;
+        return { title, url };
+    }
+    
+    /**
+     * Loads the quiz editor draft from localStorage.
+     * @returns {QuizDraft} The saved draft, or a new empty draft
+     */
+    loadDraft() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY));
+            if (saved && Array.isArray(saved.questions)) {
+                return {
+                    ...saved,
+                    questions: saved.questions.map(question => this.normalizeDraftQuestion(question))
+                };
+            }
+        } catch (error) {
+            console.error('Error loading quiz draft:', error);
+        }
+        return { title: '', icon: '', questions: [this.createDraftQuestion()] };
+    }
+    
+    /**
+     * Saves the quiz editor draft to localStorage.
+     */
+    saveDraft() {
+        try {
+            localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(this.draft));
+        } catch (error) {
+            console.error('Error saving quiz draft:', error);
+        }
+    }
+    
+    /**
+     * Fills the editor's "Start from" select with the available quizzes.
+     */
+    renderAuthorSourceOptions() {
+        const select = this.getElement('author-source');
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = this.t('editor.newQuiz');
+        select.replaceChildren(newOption);
+        
+        this.quizzes.forEach((quiz, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = this.t('editor.copyOf', { subject: quiz.title });
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * Renders the whole editor from the draft and runs validation.
+     */
+    renderAuthor() {
+        this.getElement('author-title').value = this.draft.title;
+        this.getElement('author-icon').value = this.draft.icon;
+        this.renderAuthorIconPreview();
+        
+        const list = this.getElement('author-questions');
+        list.innerHTML = '';
+        this.draft.questions.forEach((question, index) => {
+            list.appendChild(this.createAuthorQuestion(question, index));
+        });
+        
+        this.validateDraft();
+    }
+    
+    /**
+     * Shows the draft icon next to the icon field.
+     */
+    renderAuthorIconPreview() {
+        const preview = this.getElement('author-icon-preview');
+        const icon = this.draft.icon.trim();
+        preview.hidden = !icon;
+        preview.src = icon;
+        this.setSubjectIcon(preview.parentElement, this.draft.title.trim());
+    }
+    
+    /**
+     * Creates the editor fields for a question.
+     * @param {DraftQuestion} question - The question to edit
+     * @param {number} index - The index of the question in the draft
+     * @returns {HTMLElement} The created question element
+     */
+    createAuthorQuestion(question, index) {
+        const template = this.getElement('authorQuestionTemplate');
+        const clone = template.content.cloneNode(true);
+        const item = clone.querySelector('.author-question');
+        const total = this.draft.questions.length;
+        
+        item.dataset.question = String(index);
+        clone.querySelector('.author-question-legend').textContent = this.t('editor.question', { number: index + 1 });
+        
+        const textField = clone.querySelector('.author-question-text');
+        textField.id = `author-question-${index}`;
+        textField.value = question.question;
+        textField.dataset.path = `questions[${index}].question`;
+        clone.querySelector('.author-question-label').setAttribute('for', textField.id);
+        
+        const typeSelect = clone.querySelector('.author-type');
+        typeSelect.id = `author-type-${index}`;
+        typeSelect.value = question.type;
+        clone.querySelector('.author-type-label').setAttribute('for', typeSelect.id);
+        
+        const isText = question.type === 'text';
+        const hasFixedOptions = question.type === 'boolean';
+        
+        const optionsSection = clone.querySelector('.author-options-section');
+        optionsSection.hidden = isText;
+        clone.querySelector('.author-options-hint').textContent =
+            this.t(question.type === 'multiple' ? 'editor.optionsMultiple' : 'editor.optionsSingle');
+        
+        const optionsList = clone.querySelector('.author-options');
+        optionsList.dataset.path = `questions[${index}].answer`;
+        question.options.forEach((option, optionIndex) => {
+            optionsList.appendChild(this.createAuthorOption(question, index, optionIndex));
+        });
+        
+        const acceptedSection = clone.querySelector('.author-accepted-section');
+        const acceptedField = clone.querySelector('.author-accepted');
+        acceptedSection.hidden = !isText;
+        acceptedField.id = `author-accepted-${index}`;
+        acceptedField.value = question.accepted;
+        acceptedField.dataset.path = `questions[${index}].answer`;
+        clone.querySelector('.author-accepted-label').setAttribute('for', acceptedField.id);
+        
+        const explanationField = clone.querySelector('.author-explanation');
+        explanationField.id = `author-explanation-${index}`;
+        explanationField.value = question.explanation;
+        explanationField.dataset.path = `questions[${index}].explanation`;
+        clone.querySelector('.author-explanation-label').setAttribute('for', explanationField.id);
+        
+        const linksField = clone.querySelector('.author-links');
+        linksField.id = `author-links-${index}`;
+        linksField.value = question.links;
+        linksField.dataset.path = `questions[${index}].links`;
+        clone.querySelector('.author-links-label').setAttribute('for', linksField.id);
+        
+        const difficultySelect = clone.querySelector('.author-difficulty');
+        difficultySelect.id = `author-difficulty-${index}`;
+        difficultySelect.value = question.difficulty;
+        difficultySelect.dataset.path = `questions[${index}].difficulty`;
+        clone.querySelector('.author-difficulty-label').setAttribute('for', difficultySelect.id);
+        
+        const tagsField = clone.querySelector('.author-tags');
+        tagsField.id = `author-tags-${index}`;
+        tagsField.value = question.tags;
+        tagsField.dataset.path = `questions[${index}].tags`;
+        clone.querySelector('.author-tags-label').setAttribute('for', tagsField.id);
+        
+        const addOptionButton = clone.querySelector('[data-action="add-option"]');
+        addOptionButton.hidden = isText || hasFixedOptions;
+        addOptionButton.disabled = question.options.length >= MAX_OPTIONS;
+        clone.querySelector('[data-action="move-up"]').disabled = index === 0;
+        clone.querySelector('[data-action="move-down"]').disabled = index === total - 1;
+        clone.querySelector('[data-action="delete-question"]').disabled = total === 1;
+        clone.querySelectorAll('[data-action]').forEach(button => {
+            button.setAttribute('aria-label', this.t('editor.questionAction', {
+                action: button.textContent.trim(),
+                number: index + 1
+            }));
+        });
+        
+        return clone;
+    }
+    
+    /**
+     * Creates the editor fields for one answer option.
+     * @param {DraftQuestion} question - The question the option belongs to
+     * @param {number} questionIndex - The index of the question in the draft
+     * @param {number} optionIndex - The index of the option
+     * @returns {HTMLElement} The created option element
+     */
+    createAuthorOption(question, questionIndex, optionIndex) {
+        const template = this.getElement('authorOptionTemplate');
+        const clone = template.content.cloneNode(true);
+        const letter = this.getOptionLetter(optionIndex);
+        const hasFixedOptions = question.type === 'boolean';
+        
+        const correctInput = clone.querySelector('.author-correct');
+        correctInput.type = question.type === 'multiple' ? 'checkbox' : 'radio';
+        correctInput.name = `author-correct-${questionIndex}`;
+        correctInput.value = String(optionIndex);
+        correctInput.checked = question.correctIndexes.includes(optionIndex);
+        correctInput.setAttribute('aria-label', this.t('editor.optionCorrect', { letter }));
+        
+        const input = clone.querySelector('.author-option-text');
+        input.value = question.options[optionIndex];
+        input.readOnly = hasFixedOptions;
+        input.dataset.option = String(optionIndex);
+        input.dataset.path = `questions[${questionIndex}].options[${optionIndex}]`;
+        input.setAttribute('aria-label', this.t('editor.option', { letter }));
+        clone.querySelector('.letter-text').textContent = letter;
+        
+        const removeButton = clone.querySelector('[data-action="remove-option"]');
+        removeButton.dataset.option = String(optionIndex);
+        removeButton.hidden = hasFixedOptions;
+        removeButton.disabled = question.options.length <= MIN_OPTIONS;
+        removeButton.setAttribute('aria-label', this.t('editor.removeOption', { letter }));
+        
+        return clone;
+    }
+    
+    /**
+     * Updates the draft as fields are edited, then saves and re-validates it.
+     * Text edits update the draft in place so the focused field keeps its caret.
+     * @param {Event} e - The input or change event
+     */
+    handleAuthorInput(e) {
+        const target = e.target;
+        const questionElement = target.closest('.author-question');
+        const question = questionElement ? this.draft.questions[Number(questionElement.dataset.question)] : null;
+        
+        if (target.id === 'author-title') {
+            this.draft.title = target.value;
+            this.renderAuthorIconPreview();
+        } else if (target.id === 'author-icon') {
+            this.draft.icon = target.value;
+            this.renderAuthorIconPreview();
+        } else if (target.id === 'author-source') {
+            if (e.type === 'change') this.openInAuthor(target.value);
+            return;
+        } else if (target.classList.contains('author-question-text')) {
+            question.question = target.value;
+        } else if (target.classList.contains('author-option-text')) {
+            question.options[Number(target.dataset.option)] = target.value;
+        } else if (target.classList.contains('author-accepted')) {
+            question.accepted = target.value;
+        } else if (target.classList.contains('author-explanation')) {
+            question.explanation = target.value;
+        } else if (target.classList.contains('author-links')) {
+            question.links = target.value;
+        } else if (target.classList.contains('author-difficulty')) {
+            question.difficulty = target.value;
+        } else if (target.classList.contains('author-tags')) {
+            question.tags = target.value;
+        } else if (target.classList.contains('author-correct')) {
+            const optionIndex = Number(target.value);
+            if (question.type === 'multiple') {
+                question.correctIndexes = target.checked
+                    ? [...question.correctIndexes, optionIndex].sort((a, b) => a - b)
+                    : question.correctIndexes.filter(index => index !== optionIndex);
+            } else {
+                question.correctIndexes = [optionIndex];
+            }
+        } else if (target.classList.contains('author-type')) {
+            if (e.type === 'change') this.changeDraftQuestionType(questionElement, target.value);
+            return;
+        } else {
+            return;
+        }
+        
+        this.saveDraft();
+        this.validateDraft();
+    }
+    
+    /**
+     * Switches a draft question to another type and re-renders the editor.
+     * True/false questions get the fixed True/False options; other types keep the options
+     * already entered, so switching back and forth does not lose work.
+     * @param {HTMLElement} questionElement - The question's editor element
+     * @param {QuestionType} type - The new type
+     */
+    changeDraftQuestionType(questionElement, type) {
+        const index = Number(questionElement.dataset.question);
+        const question = this.draft.questions[index];
+        
+        if (type === 'boolean') {
+            question.options = [...BOOLEAN_OPTIONS];
+        } else if (question.type === 'boolean') {
+            question.options = new Array(MIN_OPTIONS).fill('');
+        }
+        if (type !== 'multiple') {
+            question.correctIndexes = [question.correctIndexes[0] || 0];
+        }
+        question.type = type;
+        
+        this.saveDraft();
+        this.renderAuthor();
+        this.getElement(`author-type-${index}`).focus();
+    }
+    
+    /**
+     * Handles the editor's buttons through event delegation on `data-action`.
+     * @param {MouseEvent} e - The click event
+     */
+    handleAuthorClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button || button.disabled) return;
+        
+        const questionElement = button.closest('.author-question');
+        const index = questionElement ? Number(questionElement.dataset.question) : -1;
+        const questions = this.draft.questions;
+        const question = questions[index];
+        let focusSelector = null;
+        
+        switch (button.dataset.action) {
+            case 'add-question':
+                questions.push(this.createDraftQuestion());
+                focusSelector = `#author-question-${questions.length - 1}`;
+                break;
+            case 'delete-question':
+                questions.splice(index, 1);
+                this.announceToScreenReader(this.t('editor.questionDeleted', { number: index + 1 }));
+                break;
+            case 'move-up':
+            case 'move-down': {
+                const newIndex = button.dataset.action === 'move-up' ? index - 1 : index + 1;
+                [questions[index], questions[newIndex]] = [questions[newIndex], questions[index]];
+                focusSelector = `#author-question-${newIndex}`;
+                this.announceToScreenReader(this.t('editor.questionMoved', { number: newIndex + 1 }));
+                break;
+            }
+            case 'add-option':
+                question.options.push('');
+                focusSelector = `.author-question[data-question="${index}"] [data-option="${question.options.length - 1}"]`;
+                break;
+            case 'remove-option': {
+                const optionIndex = Number(button.dataset.option);
+                question.options.splice(optionIndex, 1);
+                question.correctIndexes = question.correctIndexes
+                    .filter(index => index !== optionIndex)
+                    .map(index => (index > optionIndex ? index - 1 : index));
+                if (question.correctIndexes.length === 0 && question.type !== 'multiple') {
+                    question.correctIndexes = [0];
+                }
+                break;
+            }
+            case 'preview-question':
+                this.previewDraft(index);
+                return;
+            case 'preview-quiz':
+                this.previewDraft(0);
+                return;
+            case 'export-quiz':
+                this.exportDraft();
+                return;
+            case 'add-to-quizzes':
+                this.addDraftToQuizzes();
+                return;
+            case 'author-back':
+                this.showStartScreen();
+                return;
+            default:
+                return;
+        }
+        
+        this.saveDraft();
+        this.renderAuthor();
+        
+        if (focusSelector) {
+            this.root.querySelector(focusSelector)?.focus();
+        }
+    }
+    
+    /**
+     * Replaces the draft with a copy of an existing quiz, or a new empty quiz.
+     * @param {string} value - Index of the quiz in this.quizzes, or '' for a new quiz
+     */
+    openInAuthor(value) {
+        const quiz = this.quizzes[Number(value)];
+        this.draft = value !== '' && quiz
+            ? this.quizToDraft(quiz)
+            : { title: '', icon: '', questions: [this.createDraftQuestion()] };
+        
+        this.saveDraft();
+        this.renderAuthor();
+        this.getElement('author-source').value = '';
+        this.announceToScreenReader(quiz ? this.t('editor.openedCopy', { subject: quiz.title }) : this.t('editor.startedNew'));
+    }
+    
+    /**
+     * Validates the draft and marks invalid fields.
+     * Uses the same schema checks as quiz pack import, so a copy of a built-in quiz needs a new title.
+     * @returns {boolean} Whether the draft is valid
+     */
+    validateDraft() {
+        const errors = this.validateQuizData({ quizzes: [this.draftToQuiz()] }, this.getReservedNames())
+            .map(error => error.replace(/^quizzes\[0\]\.?/, ''));
+        
+        this.root.querySelectorAll('#author-screen [data-path]').forEach(field => {
+            const path = field.dataset.path;
+            const invalid = errors.some(error => error.startsWith(`${path}:`) || error.startsWith(`${path}[`));
+            field.setAttribute('aria-invalid', String(invalid));
+        });
+        
+        const list = this.getElement('author-errors');
+        list.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
         
-        // Navigation buttons
-        document.getElementById('play-again-btn').addEventListener('click', () => this.startQuiz());
-        document.getElementById('back-to-menu-btn').addEventListener('click', () => this.showStartScreen());
+        this.getElement('author-status').textContent = errors.length === 0
+            ? this.t('editor.ready')
+            : this.t('editor.problems', { count: errors.length });
         
-        // Submit button
-        document.getElementById('submit-btn').addEventListener('click', () => this.submitAnswer());
+        this.root.querySelectorAll('[data-action="export-quiz"], [data-action="add-to-quizzes"], [data-action="preview-quiz"], [data-action="preview-question"]')
+            .forEach(button => {
+                button.disabled = errors.length > 0;
+            });
         
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        return errors.length === 0;
     }
     
     /**
-     * Loads the saved theme from localStorage and applies it to the document.
-     * Defaults to 'light' theme if no theme is saved.
+     * Plays the draft through the normal quiz screen without saving history.
+     * @param {number} startIndex - Index of the question to start the preview at
      */
-    loadTheme() {
-        const savedTheme = localStorage.getItem('quiz-theme') || 'light';
-        document.documentElement.setAttribute('data-theme', savedTheme);
+    previewDraft(startIndex) {
+        if (!this.validateDraft()) return;
+        
+        this.sourceQuiz = this.draftToQuiz();
+        this.mode = 'preview';
+        this.timeLimits = { question: null, total: null };
+        this.shuffle = { questions: false, options: false, seed: null };
+        this.scoring = false;
+        this.players = [];
+        this.playerMode = null;
+        this.restartQuiz(startIndex);
     }
     
     /**
-     * Toggles between light and dark themes.
-     * Saves the new theme to localStorage and announces the change for screen readers.
+     * Downloads the draft as a JSON file in the data.json format.
      */
-    toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+    exportDraft() {
+        if (!this.validateDraft()) return;
         
-        document.documentElement.setAttribute('data-theme', newTheme);
-        localStorage.setItem('quiz-theme', newTheme);
+        const quiz = this.draftToQuiz();
+        /** @type {QuizData} */
+        const data = { quizzes: [quiz] };
+        const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+        this.downloadBlob(blob, `${this.toFileName(quiz.title)}.json`);
         
-        // Announce theme change for screen readers
-        this.announceToScreenReader(`Switched to ${newTheme} theme`);
+        this.announceToScreenReader(this.t('editor.exported', { subject: quiz.title }));
     }
     
     /**
-     * Renders the start screen with subject selection.
-     * Hides all other screens and shows the start screen with subject cards.
+     * Downloads a blob as a file.
+     * @param {Blob} blob - The file contents
+     * @param {string} fileName - The name to save the file as
      */
-    renderStartScreen() {
-        this.hideAllScreens();
-        const startScreen = document.getElementById('start-screen');
-        startScreen.classList.remove('screen-hidden');
-        startScreen.classList.add('screen-visible');
-        document.getElementById('subject-info').style.display = 'none';
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
         
-        this.renderSubjects();
-        this.addAnimation('start-screen', 'fade-in');
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
     }
     
     /**
-     * Renders all available subject cards in the subjects grid.
-     * Clears the grid and populates it with subject cards for each quiz.
+     * Turns a quiz title into a safe file name base, e.g. "Web APIs" becomes "web-apis".
+     * @param {string} title - The quiz title
+     * @returns {string} The file name base
      */
-    renderSubjects() {
-        const subjectsGrid = document.getElementById('subjects-grid');
-        subjectsGrid.innerHTML = '';
-        
-        this.quizzes.forEach((quiz, index) => {
-            const subjectCard = this.createSubjectCard(quiz, index);
-            subjectsGrid.appendChild(subjectCard);
-        });
+    toFileName(title) {
+        return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'quiz';
     }
     
     /**
-     * Creates a subject card element for the given quiz.
-     * @param {Quiz} quiz - The quiz object to create a card for
-     * @param {number} index - The index of the quiz in the quizzes array
-     * @returns {HTMLElement} The created subject card element
+     * Adds the draft to the subject list as an imported quiz.
      */
-    createSubjectCard(quiz, index) {
-        const card = document.createElement('div');
-        card.className = 'subject-card start';
-        card.setAttribute('role', 'button');
-        card.setAttribute('tabindex', '0');
-        card.setAttribute('aria-label', `Start ${quiz.title} quiz`);
-
-        const template = document.getElementById('subjectTemplate');
-  
-        // Clone its content
-        const clone = template.content.cloneNode(true);
-      
-        // Query elements within the clone
-        const iconDiv = clone.querySelector('.subject-icon');
-        const img = clone.querySelector('img');
-        const titleHeading = clone.querySelector('.subject-card-title');
-      
-        // Set dynamic values
-        iconDiv.setAttribute('data-subject', quiz.title);
-        img.src = quiz.icon;
-        img.alt = `${quiz.title} icon`;
-        titleHeading.textContent = quiz.title;
-      
-        // Append to desired container (e.g., body or a specific element)
-        card.appendChild(clone);
-        
-        card.addEventListener('click', () => this.selectSubject(index));
-        card.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                this.selectSubject(index);
-            }
-        });
+    addDraftToQuizzes() {
+        if (!this.validateDraft()) return;
         
-        return card;
+        if (this.importQuizPack({ quizzes: [this.draftToQuiz()] }, this.t('editor.source'))) {
+            this.renderAuthorSourceOptions();
+        }
     }
     
     /**
-     * Selects a quiz and starts it.
-     * Resets the quiz state and begins the quiz with the selected subject.
-     * @param {number} quizIndex - The index of the quiz to select
+     * Builds the URL slug of a quiz key or title, e.g. "JavaScript" becomes "javascript".
+     * @param {string} title - The quiz key (see getQuizKey) or title
+     * @returns {string} The slug
      */
-    selectSubject(quizIndex) {
-        this.currentQuiz = this.quizzes[quizIndex];
-        this.currentQuestionIndex = 0;
-        this.score = 0;
-        this.selectedAnswer = null;
-        this.answered = false;
-        
-        this.startQuiz();
+    getSlug(title) {
+        return encodeURIComponent(title.trim().toLowerCase().replace(/\s+/g, '-'));
     }
     
     /**
-     * Starts the selected quiz.
-     * Shows the quiz screen, updates the header with subject info, and renders the first question.
+     * Finds the quiz a route slug refers to, including the practice and custom sessions. Routes are
+     * built from the quiz key, so links work in every language; the slug of the title is tried too.
+     * @param {string} slug - The slug from the route
+     * @returns {Quiz|undefined} The quiz, or undefined if no quiz has that slug
      */
-    startQuiz() {
-        this.hideAllScreens();
-        const quizScreen = document.getElementById('quiz-screen');
-        quizScreen.classList.remove('screen-hidden');
-        quizScreen.classList.add('screen-visible');
-        document.getElementById('subject-info').style.display = 'flex';
-        
-        // Update header with subject info
-        const subjectIcon = document.querySelector('.subject-info .subject-icon');
-        const subjectIconImg = document.getElementById('subject-icon-img');
-        
-        subjectIcon.setAttribute('data-subject', this.currentQuiz.title);
-        subjectIconImg.src = this.currentQuiz.icon;
-        subjectIconImg.alt = `${this.currentQuiz.title} icon`;
-        document.getElementById('subject-title').textContent = this.currentQuiz.title;
-        
-        this.renderQuestion();
-        this.addAnimation('quiz-screen', 'slide-in');
+    findQuizBySlug(slug) {
+        const quizzes = [...this.quizzes, PRACTICE_QUIZ, CUSTOM_QUIZ];
+        return quizzes.find(quiz => this.getSlug(this.getQuizKey(quiz)) === slug)
+            || quizzes.find(quiz => this.getSlug(quiz.title) === slug);
     }
     
     /**
-     * Renders the current question with its options.
-     * Updates the question counter, progress bar, question text, and renders answer options.
+     * Builds the route of the current question, e.g. "/quiz/css/3".
+     * @returns {string} The route path
      */
-    renderQuestion() {
-        const question = this.currentQuiz.questions[this.currentQuestionIndex];
-        
-        // Update question counter and progress
-        document.getElementById('question-number').textContent = this.currentQuestionIndex + 1;
-        document.getElementById('question-total').textContent = this.currentQuiz.questions.length;
-        
-        const progressPercentage = ((this.currentQuestionIndex + 1) / this.currentQuiz.questions.length) * 100;
-        document.getElementById('progress-fill').style.width = `${progressPercentage}%`;
-        
-        // Update question text - escape HTML tags for display
-        const escapedQuestion = this.escapeHtml(question.question);
-        
-        document.getElementById('question-text').innerHTML = escapedQuestion;
-        
-        // Render options
-        this.renderOptions(question.options);
-        
-        // Reset state
-        this.selectedAnswer = null;
-        this.answered = false;
-        document.getElementById('submit-btn').disabled = true;
-        
-        // Focus first option for accessibility
-        setTimeout(() => {
-            const firstOption = document.querySelector('.option-card');
-            if (firstOption) firstOption.focus();
-        }, 100);
+    getQuizRoute() {
+        return `/quiz/${this.getSlug(this.getQuizKey(this.currentQuiz))}/${this.currentQuestionIndex + 1}`;
     }
     
     /**
-     * Escapes HTML characters in text to prevent XSS attacks.
-     * @param {string} text - The text to escape
-     * @returns {string} The escaped HTML text
+     * Reads the route path from the URL hash; an empty hash is the start screen.
+     * @returns {string} The route path, e.g. "/results/css"
      */
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    getRoutePath() {
+        const hash = window.location.hash;
+        return hash.startsWith('#/') ? hash.slice(1) : '/';
     }
     
     /**
-     * Renders the answer options for the current question.
-     * @param {Array<string>} options - Array of answer option strings
+     * Puts a route in the URL hash without triggering navigation.
+     * New screens push a history entry so Back returns to the previous screen; while a route from
+     * the URL is being applied, the entry is replaced instead.
+     * @param {string} path - The route path, e.g. "/quiz/css/3"
+     * @param {boolean} [replace=false] - Whether to replace the current history entry
      */
-    renderOptions(options) {
-        const optionsGrid = document.getElementById('options-grid');
-        optionsGrid.innerHTML = '';
+    setRoute(path, replace = false) {
+        if (path === this.currentRoute) return;
         
-        const letters = ['A', 'B', 'C', 'D'];
-        
-        options.forEach((option, index) => {
-            const optionCard = this.createOptionCard(option, letters[index], index);
-            optionsGrid.appendChild(optionCard);
-        });
+        this.currentRoute = path;
+        if (!this.options.routing) return;
+        if (replace || this.handlingRoute) {
+            history.replaceState(null, '', `#${path}`);
+        } else {
+            history.pushState(null, '', `#${path}`);
+        }
     }
     
     /**
-     * Creates an option card element for the given option.
-     * @param {string} optionText - The text of the option
-     * @param {string} letter - The letter label (A, B, C, D)
-     * @param {number} index - The index of the option
-     * @returns {HTMLElement} The created option card element
+     * Shows the screen for the route in the URL hash. Called on start-up, Back/Forward and edited URLs.
+     * Supported routes: "#/", "#/quiz/<subject>[/<question>]", "#/results/<subject>",
+     * "#/review/<subject>", "#/shared/<subject>/<score>/<total>/<date>", "#/editor", "#/custom",
+     * "#/leaderboard", "#/worksheet" and "#/live".
+     * Unknown routes show an error and return to the start screen.
      */
-    createOptionCard(optionText, letter, index) {
-        const card = document.createElement('div');
-        card.className = 'option-card start';
-        card.setAttribute('role', 'button');
-        card.setAttribute('tabindex', '0');
-        card.setAttribute('aria-label', `Option ${letter}: ${optionText}`);
-        
-        // Escape the option text to display HTML tags as text
-        const escapedOptionText = this.escapeHtml(optionText);
-
-        const template = document.getElementById('optionTemplate');
-        const clone = template.content.cloneNode(true);
-      
-        // Select elements in the cloned fragment
-        const letterSpan = clone.querySelector('.letter-text');
-        const optionTextDiv = clone.querySelector('.option-text');
-      
-        // Set dynamic text
-        letterSpan.textContent = letter;
-        optionTextDiv.innerHTML = escapedOptionText;
-        card.appendChild(clone);
+    handleRoute() {
+        const path = this.getRoutePath();
+        if (path === this.currentRoute) return;
         
-        card.addEventListener('click', () => this.selectOption(index));
-        card.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                this.selectOption(index);
+        this.currentRoute = path;
+        this.handlingRoute = true;
+        try {
+            const [screen, ...params] = path.split('/').slice(1);
+            let handled = false;
+            
+            switch (screen) {
+                case '':
+                    this.showStartScreen();
+                    handled = true;
+                    break;
+                case 'editor':
+                    this.showAuthorScreen();
+                    handled = true;
+                    break;
+                case 'custom':
+                    this.showSetupScreen();
+                    handled = true;
+                    break;
+                case 'leaderboard':
+                    this.showLeaderboardScreen();
+                    handled = true;
+                    break;
+                case 'worksheet':
+                    this.showWorksheetScreen();
+                    handled = true;
+                    break;
+                case 'live':
+                    this.showLiveScreen();
+                    handled = true;
+                    break;
+                case 'quiz':
+                    handled = this.routeToQuiz(params[0], params[1]);
+                    break;
+                case 'results':
+                case 'review':
+                    handled = this.routeToResults(screen, params[0]);
+                    break;
+                case 'shared':
+                    handled = this.routeToSharedResult(params);
+                    break;
             }
-        });
-        
-        return card;
+            
+            if (!handled) {
+                this.showError(this.t('app.pageNotFound', { path: `#${path}` }));
+                this.showStartScreen();
+            }
+        } finally {
+            this.handlingRoute = false;
+        }
     }
     
     /**
-     * Selects an answer option for the current question.
-     * Updates the UI to show the selected option and enables the submit button.
-     * @param {number} optionIndex - The index of the selected option
+     * Shows a quiz route. An attempt at the same quiz, in memory or saved, is continued where it
+     * was left. Otherwise the first question starts a new attempt, and any other question is opened
+     * with openLinkedQuestion(), which saves nothing, so every attempt in the history covers the
+     * whole quiz.
+     * @param {string} slug - The quiz slug
+     * @param {string} [questionNumber] - The 1-based question number, defaults to the first question
+     * @returns {boolean} Whether the route was valid
      */
-    selectOption(optionIndex) {
-        if (this.answered) return;
+    routeToQuiz(slug, questionNumber = '1') {
+        const quiz = this.findQuizBySlug(slug);
+        const number = Number(questionNumber);
+        if (!quiz || !Number.isInteger(number) || number < 1) return false;
         
-        // Remove previous selection
-        const previousSelected = document.querySelector('.option-card.selected');
-        if (previousSelected) {
-            previousSelected.classList.remove('selected');
+        // A link to another question of the quiz being looked at through a link opens that question
+        const isOtherLinkedQuestion = this.mode === 'linked' && number - 1 !== this.currentQuestionIndex;
+        if (this.isAttemptInProgress(this.getQuizKey(quiz)) && !isOtherLinkedQuestion) {
+            this.continueAttempt();
+            return true;
         }
         
-        // Select new option
-        const optionCards = document.querySelectorAll('.option-card');
-        optionCards[optionIndex].classList.add('selected');
+        const session = this.loadSession();
+        if (session && session.subject === this.getQuizKey(quiz)) {
+            this.resumeSession();
+            return true;
+        }
         
-        this.selectedAnswer = optionIndex;
-        document.getElementById('submit-btn').disabled = false;
+        if (quiz === PRACTICE_QUIZ) {
+            if (!this.startPractice()) this.showStartScreen();
+            return true;
+        }
         
-        // Announce selection for screen readers
-        const letters = ['A', 'B', 'C', 'D'];
-        this.announceToScreenReader(`Selected option ${letters[optionIndex]}`);
+        // A custom session can't be rebuilt from the URL, so its questions are picked again
+        if (quiz === CUSTOM_QUIZ) {
+            this.showSetupScreen();
+            return true;
+        }
+        
+        if (number > quiz.questions.length) return false;
+        if (number === 1) {
+            this.selectSubject(this.quizzes.indexOf(quiz));
+        } else {
+            this.openLinkedQuestion(this.quizzes.indexOf(quiz), number - 1);
+        }
+        return true;
     }
     
     /**
-     * Submits the selected answer and shows the result.
-     * Checks if the answer is correct, updates the score, and shows visual feedback.
-     * Auto-advances to the next question after 2 seconds.
+     * Shows a results or review route. Uses the attempt just finished if it matches,
+     * otherwise the active profile's latest attempt at the quiz from the history.
+     * @param {'results'|'review'} screen - The screen to show
+     * @param {string} slug - The quiz slug
+     * @returns {boolean} Whether the route was valid
      */
-    submitAnswer() {
-        if (this.selectedAnswer === null || this.answered) return;
-        
-        this.answered = true;
-        const question = this.currentQuiz.questions[this.currentQuestionIndex];
-        const selectedOption = question.options[this.selectedAnswer];
-        const isCorrect = selectedOption === question.answer;
+    routeToResults(screen, slug) {
+        const quiz = this.findQuizBySlug(slug);
+        if (!quiz) return false;
         
-        if (isCorrect) {
-            this.score++;
+        if (!this.isAttemptFinished(this.getQuizKey(quiz))) {
+            const attempt = [...this.history].reverse()
+                .find(attempt => attempt.subject === this.getQuizKey(quiz) && this.isOwnAttempt(attempt));
+            if (!attempt) {
+                this.showError(this.t('results.noResults', { subject: this.getDisplayTitle(quiz.title) }));
+                this.showStartScreen();
+                return true;
+            }
+            this.restoreAttempt(quiz, attempt);
         }
         
-        this.showAnswerResult(isCorrect);
-        
-        // Disable submit button
-        document.getElementById('submit-btn').disabled = true;
-        
-        // Auto-advance after showing result
-        setTimeout(() => {
-            this.nextQuestion();
-        }, 2000);
+        if (screen === 'review') {
+            this.showReview();
+        } else {
+            this.showResults();
+        }
+        return true;
     }
     
     /**
-     * Shows the result of the submitted answer with visual feedback.
-     * Displays correct/incorrect icons and updates card styling.
-     * @param {boolean} isCorrect - Whether the submitted answer was correct
+     * Shows a share link route as a read-only result.
+     * @param {Array<string>} params - The route segments after "shared"
+     * @returns {boolean} Always true; malformed links show their own error
      */
-    showAnswerResult(isCorrect) {
-        const optionCards = document.querySelectorAll('.option-card');
-        const question = this.currentQuiz.questions[this.currentQuestionIndex];
-        
-        // Clear any existing show classes first
-        document.querySelectorAll('.option-icon img').forEach(img => {
-            img.classList.remove('show');
-            img.classList.add('hidden');
-        });
-        
-        optionCards.forEach((card, index) => {
-            const optionText = card.querySelector('.option-text').textContent;
-            const isSelected = index === this.selectedAnswer;
-            const isCorrectAnswer = optionText === question.answer;
-            const correctIcon = card.querySelector('.correct-icon');
-            const incorrectIcon = card.querySelector('.incorrect-icon');
-            
-            console.log('Option:', optionText, 'Answer:', question.answer, 'IsCorrect:', isCorrectAnswer, 'IsSelected:', isSelected);
-            
-            if (isCorrectAnswer) {
-                card.classList.add('correct');
-                correctIcon.classList.remove('hidden');
-                correctIcon.classList.add('show');
-                console.log('Showing correct icon for option:', optionText);
-            } else if (isSelected && !isCorrectAnswer) {
-                card.classList.add('incorrect');
-                incorrectIcon.classList.remove('hidden');
-                incorrectIcon.classList.add('show');
-                console.log('Showing incorrect icon for option:', optionText);
-            } else {
-                // Ensure other icons are hidden
-                correctIcon.classList.remove('show');
-                correctIcon.classList.add('hidden');
-                incorrectIcon.classList.remove('show');
-                incorrectIcon.classList.add('hidden');
-            }
-        });
+    routeToSharedResult(params) {
+        const result = this.parseSharedResult(params);
+        if (!result) {
+            this.showError(this.t('results.invalidShareLink'));
+            this.showStartScreen();
+            return true;
+        }
         
-        // Announce result for screen readers
-        const result = isCorrect ? 'Correct!' : 'Incorrect!';
-        this.announceToScreenReader(result);
+        this.showSharedResult(result);
+        return true;
     }
     
     /**
-     * Advances to the next question or shows results if all questions are complete.
-     * Increments the question index and either renders the next question or shows the results screen.
+     * Checks whether an attempt at a quiz was started and not finished.
+     * @param {string} subject - The quiz key (see getQuizKey)
+     * @returns {boolean} Whether the attempt is in progress
      */
-    nextQuestion() {
-        this.currentQuestionIndex++;
+    isAttemptInProgress(subject) {
+        return Boolean(this.currentQuiz) && this.getQuizKey(this.currentQuiz) === subject && this.mode !== 'preview'
+            && this.hasQuestionsLeft();
+    }
+    
+    /**
+     * Checks whether the attempt in memory is a finished attempt at a quiz.
+     * @param {string} subject - The quiz key (see getQuizKey)
+     * @returns {boolean} Whether the attempt is finished
+     */
+    isAttemptFinished(subject) {
+        return Boolean(this.currentQuiz) && this.getQuizKey(this.currentQuiz) === subject && this.mode !== 'preview'
+            && this.answers.length > 0 && !this.hasQuestionsLeft();
+    }
+    
+    /**
+     * Checks whether the attempt in memory still has unanswered questions, for any player in a
+     * pass-and-play game.
+     * @returns {boolean} Whether a question is left to answer
+     */
+    hasQuestionsLeft() {
+        const total = this.currentQuiz.questions.length;
+        const answerSets = this.players.length > 0 ? this.players.map(player => player.answers) : [this.answers];
+        return answerSets.some(answers => answers.length < total);
+    }
+    
+    /**
+     * Goes back to the attempt in memory after leaving it, e.g. with Back and then Forward.
+     * A question answered just before leaving is skipped, since its auto-advance was cancelled.
+     * Pass-and-play games hand over again, as someone else may have picked up the device.
+     */
+    continueAttempt() {
+        if (this.players.length > 0) {
+            this.setActivePlayer(this.getNextPlayerIndex());
+            this.showHandover();
+            return;
+        }
+        
+        if (this.answered) {
+            this.currentQuestionIndex++;
+            this.answered = false;
+        }
         
         if (this.currentQuestionIndex >= this.currentQuiz.questions.length) {
-            this.showResults();
+            this.completeQuiz();
         } else {
-            this.renderQuestion();
+            this.startQuiz();
         }
     }
     
     /**
-     * Shows the results screen with the final score.
-     * Updates the results display with subject info, score, and total questions.
+     * Loads a finished attempt from the history so its results and review can be shown.
+     * Questions are looked up by their text so "Retry missed" gets the full question; ones that
+     * have since been removed, or were played in another language, are rebuilt from the answer record.
+     * @param {Quiz} quiz - The quiz the attempt was played on
+     * @param {QuizAttempt} attempt - The attempt to load
      */
-    showResults() {
-        this.hideAllScreens();
-        const resultsScreen = document.getElementById('results-screen');
-        resultsScreen.classList.remove('screen-hidden');
-        resultsScreen.classList.add('screen-visible');
-        document.getElementById('subject-info').style.display = 'flex';
-        
-        // Update results
-        const resultsSubjectIcon = document.getElementById('results-subject-icon');
-        resultsSubjectIcon.src = this.currentQuiz.icon;
-        resultsSubjectIcon.alt = `${this.currentQuiz.title} icon`;
-        resultsSubjectIcon.parentElement.setAttribute('data-subject', this.currentQuiz.title);
-        document.getElementById('results-subject-name').textContent = this.currentQuiz.title;
-        document.getElementById('score-number').textContent = this.score;
-        document.getElementById('results-total').textContent = this.currentQuiz.questions.length;
-        
-        this.addAnimation('results-screen', 'scale-in');
-        
-        // Focus first button for accessibility
-        setTimeout(() => {
-            document.getElementById('play-again-btn').focus();
-        }, 100);
+    restoreAttempt(quiz, attempt) {
+        this.clearTimers();
+        this.currentQuiz = {
+            ...quiz,
+            questions: attempt.answers.map(record => {
+                const subject = record.subject || this.getQuizKey(quiz);
+                const source = this.quizzes.find(candidate => this.getQuizKey(candidate) === subject);
+                const question = (source && source.questions.find(candidate => candidate.question === record.question)) || {
+                    ...(record.id && { id: record.id }),
+                    question: record.question,
+                    type: record.type,
+                    options: record.options,
+                    answer: record.answer
+                };
+                return record.subject ? { ...question, subject: record.subject } : question;
+            })
+        };
+        this.sourceQuiz = attempt.mode === 'standard' ? quiz : this.currentQuiz;
+        this.mode = attempt.mode;
+        this.shuffle = this.readShuffleSettings();
+        this.seed = attempt.seed;
+        this.score = attempt.score;
+        this.startedAt = attempt.startedAt;
+        this.completedAt = attempt.completedAt;
+        this.timeLimits = attempt.timeLimits || { question: null, total: null };
+        this.scoring = Boolean(attempt.scoring);
+        this.answers = attempt.answers;
+        this.players = [];
+        this.playerMode = null;
+        this.currentQuestionIndex = attempt.answers.length;
+        this.answered = false;
+        this.updateSubjectHeader();
     }
     
     /**
-     * Shows the start screen and returns to subject selection.
-     * Hides all other screens and shows the start screen with subject cards.
+     * Finds an element of the app by ID, looking only inside the app's root.
+     * @param {string} id - The element ID
+     * @returns {HTMLElement|null} The element, or null if the root has none with that ID
      */
-    showStartScreen() {
-        this.hideAllScreens();
-        const startScreen = document.getElementById('start-screen');
-        startScreen.classList.remove('screen-hidden');
-        startScreen.classList.add('screen-visible');
-        document.getElementById('subject-info').style.display = 'none';
-        
-        this.addAnimation('start-screen', 'fade-in');
-        
-        // Focus first subject card for accessibility
-        setTimeout(() => {
-            const firstSubject = document.querySelector('.subject-card');
-            if (firstSubject) firstSubject.focus();
-        }, 100);
+    getElement(id) {
+        return this.root.querySelector(`#${id}`);
     }
     
     /**
@@ -510,9 +7571,12 @@ class QuizApp {
      * Used before showing a specific screen to ensure only one screen is visible at a time.
      */
     hideAllScreens() {
-        const screens = ['start-screen', 'quiz-screen', 'results-screen'];
+        const screens = [
+            'start-screen', 'quiz-screen', 'handover-screen', 'results-screen', 'review-screen', 'author-screen', 'setup-screen',
+            'leaderboard-screen', 'worksheet-screen', 'live-screen'
+        ];
         screens.forEach(screenId => {
-            const screen = document.getElementById(screenId);
+            const screen = this.getElement(screenId);
             screen.classList.add('screen-hidden');
             screen.classList.remove('screen-visible');
         });
@@ -520,11 +7584,14 @@ class QuizApp {
     
     /**
      * Adds an animation class to an element and removes it after the animation completes.
+     * Does nothing when motion is reduced.
      * @param {string} elementId - The ID of the element to animate
      * @param {string} animationClass - The CSS animation class to apply
      */
     addAnimation(elementId, animationClass) {
-        const element = document.getElementById(elementId);
+        if (this.isMotionReduced()) return;
+        
+        const element = this.getElement(elementId);
         element.classList.add(animationClass);
         
         // Remove animation class after animation completes
@@ -534,40 +7601,85 @@ class QuizApp {
     }
     
     /**
-     * Handles keyboard events for accessibility and navigation.
-     * Supports number keys (1-4) for option selection, Enter for submit, and Escape for navigation.
+     * Handles keyboard events for accessibility and navigation, using the shortcuts from the settings.
+     * By default, number keys (1-9) select options, Enter submits and Escape navigates back; after
+     * feedback that waits for the "Next" button, the submit key moves on. On the pass-and-play
+     * handover screen, the submit key starts the next player's turn. Selections and results triggered
+     * from the keyboard are announced with the active player's name.
      * @param {KeyboardEvent} e - The keyboard event object
      */
     handleKeyboard(e) {
-        // Handle option selection with number keys (1-4)
-        if (e.key >= '1' && e.key <= '4' && !this.answered) {
-            const optionIndex = parseInt(e.key) - 1;
-            const optionCards = document.querySelectorAll('.option-card');
+        // Leave typing in form fields (e.g. the quiz editor) alone; the confidence radios still
+        // let Enter submit and number keys pick an option
+        if (e.target.closest && e.target.closest('input:not([type="radio"]), textarea, select')) return;
+        // Leave browser shortcuts such as Ctrl+C alone
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        const quizScreen = this.getElement('quiz-screen');
+        const quizVisible = !quizScreen.classList.contains('screen-hidden');
+        const handoverVisible = !this.getElement('handover-screen').classList.contains('screen-hidden');
+        const keys = this.settings.keys;
+        const key = this.normalizeKey(e.key);
+        const onButton = Boolean(e.target.closest && e.target.closest('button'));
+        
+        // The ready button handles its own Enter
+        if (key === this.normalizeKey(keys.submit) && handoverVisible && !onButton) {
+            this.beginTurn();
+            return;
+        }
+        
+        // Handle option selection with the option keys (1-9 or A-I)
+        const optionIndex = this.getOptionKeys().indexOf(key);
+        if (optionIndex !== -1 && quizVisible && !this.answered) {
+            const optionCards = this.root.querySelectorAll('#options-grid .option-card');
             if (optionCards[optionIndex]) {
                 this.selectOption(optionIndex);
             }
         }
         
-        // Handle submit with Enter key
-        if (e.key === 'Enter' && this.selectedAnswer !== null && !this.answered) {
-            this.submitAnswer();
+        // Handle submit, or moving on once feedback waits for "Next", with the submit key
+        if (key === this.normalizeKey(keys.submit) && quizVisible) {
+            if (!this.answered && this.hasSelection()) {
+                this.submitAnswer();
+            } else if (this.answered && !this.getElement('next-btn').hidden && !onButton) {
+                e.preventDefault();
+                this.nextQuestion();
+            }
         }
         
-        // Handle Escape key to go back
-        if (e.key === 'Escape') {
-            const quizScreen = document.getElementById('quiz-screen');
-            if (!quizScreen.classList.contains('screen-hidden')) {
+        // Handle the exit key to go back
+        if (key === this.normalizeKey(keys.exit)) {
+            if (handoverVisible) {
                 this.showStartScreen();
+            } else if (quizVisible) {
+                if (this.mode === 'preview') {
+                    this.showAuthorScreen();
+                } else {
+                    this.showStartScreen();
+                }
             }
         }
     }
     
+    /**
+     * Checks whether announcements of a level are made with the current settings.
+     * @param {AnnouncementLevel} level - The least announcement level that says it
+     * @returns {boolean} Whether they are announced
+     */
+    isAnnounced(level) {
+        return ANNOUNCEMENT_LEVELS.indexOf(this.settings.announcements) >= ANNOUNCEMENT_LEVELS.indexOf(level);
+    }
+    
     /**
      * Announces a message to screen readers using ARIA live regions.
      * Creates a temporary element with aria-live attribute for screen reader announcements.
      * @param {string} message - The message to announce to screen readers
+     * @param {AnnouncementLevel} [level='minimal'] - The least announcement level that says it;
+     *     messages above the level picked in the settings are skipped
      */
-    announceToScreenReader(message) {
+    announceToScreenReader(message, level = 'minimal') {
+        if (!this.isAnnounced(level)) return;
+        
         // Create a temporary element for screen reader announcements
         const announcement = document.createElement('div');
         announcement.setAttribute('aria-live', 'polite');
@@ -585,7 +7697,8 @@ class QuizApp {
     
     /**
      * Shows an error notification to the user.
-     * Creates a styled error message that appears at the top of the screen and auto-removes after 5 seconds.
+     * Creates an error message that appears at the top of the screen and auto-removes after 5 seconds.
+     * It is styled by .error-notification in style.css, in the colours of the current theme.
      * @param {string} message - The error message to display
      */
     showError(message) {
@@ -595,20 +7708,6 @@ class QuizApp {
         errorDiv.setAttribute('role', 'alert');
         errorDiv.textContent = message;
         
-        // Style the error notification
-        errorDiv.style.cssText = `
-            position: fixed;
-            top: 1rem;
-            left: 50%;
-            transform: translateX(-50%);
-            background-color: var(--color-incorrect);
-            color: white;
-            padding: 1rem 2rem;
-            border-radius: 0.5rem;
-            z-index: 1000;
-            font-weight: 500;
-        `;
-        
         document.body.appendChild(errorDiv);
         
         // Remove error after 5 seconds
@@ -635,9 +7734,4 @@ style.textContent = `
         border: 0;
     }
 `;
-document.head.appendChild(style);
-
-// Initialize the app when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new QuizApp();
-}); 
\ No newline at end of file
+document.head.appendChild(style); 
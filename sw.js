@@ -0,0 +1,143 @@
+/**
+ * Service worker for offline support.
+ * Pre-caches the app shell, fonts, icons and quiz data on install, then answers same-origin
+ * requests stale-while-revalidate: the cached copy is returned straight away and refreshed from
+ * the network in the background, so the next load gets the latest version.
+ */
+
+/** @type {string} Name of the cache; bump the version when the pre-cached file list changes */
+const CACHE_NAME = 'quiz-app-v8';
+
+/** @type {string} Response header set on quiz data served from the cache */
+const CACHE_HEADER = 'X-Quiz-Cache';
+
+/** @type {RegExp} Paths of the quiz data (data.json and per-language copies), whose freshness is reported to the page */
+const QUIZ_DATA_PATTERN = /\/data(\.[\w-]+)?\.json$/;
+
+/** @type {Array<string>} Files cached on install so the app works without a connection */
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './style.css',
+    './script.js',
+    './xapi.js',
+    './markup.js',
+    './csv.js',
+    './live.js',
+    './data.json',
+    './data.de.json',
+    './data.es.json',
+    './locales/en.json',
+    './locales/de.json',
+    './locales/es.json',
+    './manifest.webmanifest',
+    './assets/fonts/Rubik-VariableFont_wght.ttf',
+    './assets/fonts/Rubik-Italic-VariableFont_wght.ttf',
+    './assets/images/favicon-32x32.png',
+    './assets/images/icon-app.svg',
+    './assets/images/icon-accessibility.svg',
+    './assets/images/icon-correct.svg',
+    './assets/images/icon-css.svg',
+    './assets/images/icon-custom.svg',
+    './assets/images/icon-error.svg',
+    './assets/images/icon-html.svg',
+    './assets/images/icon-incorrect.svg',
+    './assets/images/icon-js.svg',
+    './assets/images/icon-moon-dark.svg',
+    './assets/images/icon-moon-light.svg',
+    './assets/images/icon-practice.svg',
+    './assets/images/icon-sun-dark.svg',
+    './assets/images/icon-sun-light.svg',
+    './assets/images/pattern-background-desktop-dark.svg',
+    './assets/images/pattern-background-desktop-light.svg',
+    './assets/images/pattern-background-mobile-dark.svg',
+    './assets/images/pattern-background-mobile-light.svg',
+    './assets/images/pattern-background-tablet-dark.svg',
+    './assets/images/pattern-background-tablet-light.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Remove caches left by earlier versions
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    
+    event.respondWith(staleWhileRevalidate(event));
+});
+
+/**
+ * Answers a request from the cache when possible and refreshes the cached copy from the network.
+ * For the quiz data, the page is told when the network could not be reached or the data changed.
+ * @param {FetchEvent} event - The fetch event to answer
+ * @returns {Promise<Response>} The cached response, or the network response if nothing is cached
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE_NAME);
+    // Hash routes and ?seed=/?pack= parameters all load the same page
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const isQuizData = QUIZ_DATA_PATTERN.test(new URL(request.url).pathname);
+    // Copied up front because the cached body is handed to the page before the refresh finishes
+    const previous = isQuizData && cached ? cached.clone() : null;
+    
+    const refresh = fetch(request)
+        .then(async response => {
+            if (response.ok) {
+                const changed = previous && await previous.text() !== await response.clone().text();
+                await cache.put(request, response.clone());
+                if (changed) notifyClients({ type: 'quiz-data-updated' });
+            }
+            return response;
+        })
+        .catch(error => {
+            if (isQuizData) notifyClients({ type: 'offline' });
+            throw error;
+        });
+    
+    if (!cached) return refresh;
+    
+    // Keep the worker alive until the cache is updated
+    event.waitUntil(refresh.catch(() => {}));
+    return isQuizData ? markAsCached(cached) : cached;
+}
+
+/**
+ * Copies a cached response with a header telling the page it came from the cache.
+ * @param {Response} response - The cached response
+ * @returns {Response} The marked copy
+ */
+function markAsCached(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHE_HEADER, 'hit');
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+/**
+ * Sends a message to every open page of the app.
+ * @param {{type: string}} message - The message to send
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
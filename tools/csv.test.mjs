@@ -0,0 +1,62 @@
+/**
+ * Tests for csv.js. It touches no browser globals, so the module is imported as it is.
+ *
+ * Usage: node --test tools/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../csv.js';
+
+/** @type {string} Byte order mark toCsv starts its output with */
+const BYTE_ORDER_MARK = '\uFEFF';
+
+test('fields written in a spreadsheet are read as they are', () => {
+    assert.deepEqual(parseCsv('question,answer,tag\nWhat is 1-2?,-1,@media\nSum?,=1+1,+x\n'), [
+        ['question', 'answer', 'tag'],
+        ['What is 1-2?', '-1', '@media'],
+        ['Sum?', '=1+1', '+x']
+    ]);
+});
+
+test('formula-like fields are exported with a leading quote', () => {
+    assert.equal(toCsv([['=1+1', '-5', '@x', "'+y", "it's"]]), `${BYTE_ORDER_MARK}'=1+1,'-5,'@x,''+y,it's\r\n`);
+});
+
+test('exported rows are imported unchanged', () => {
+    const rows = [
+        ['quiz', 'question', 'A', 'B'],
+        ['CSS', 'Which selector wins?\n```css\n#a { color: red; }\n```', '=1+1', '-1'],
+        ['CSS', 'Say "hi", then leave', "'=quoted", "'"],
+        ['CSS', ' padded ', '@media', '\tindented']
+    ];
+
+    assert.deepEqual(parseCsv(toCsv(rows)), rows);
+});
+
+test('quoted fields may hold delimiters, quotes and line breaks', () => {
+    const text = 'quiz,question\r\n"HTML","Line one\r\nline two, with ""quotes"""\r\n';
+
+    assert.deepEqual(parseCsv(text), [
+        ['quiz', 'question'],
+        ['HTML', 'Line one\r\nline two, with "quotes"']
+    ]);
+});
+
+test('semicolon and tab delimiters are detected from the header row', () => {
+    assert.deepEqual(parseCsv('quiz;question;answer\nCSS;"a, b";A;C\n'), [
+        ['quiz', 'question', 'answer'],
+        ['CSS', 'a, b', 'A', 'C']
+    ]);
+    assert.deepEqual(parseCsv('quiz\tquestion\tanswer\nCSS\ta; b, c\tA\n'), [
+        ['quiz', 'question', 'answer'],
+        ['CSS', 'a; b, c', 'A']
+    ]);
+});
+
+test('a byte order mark and empty rows are skipped', () => {
+    assert.deepEqual(parseCsv(`${BYTE_ORDER_MARK}quiz,question\n,\n\nCSS,Q?\n`), [
+        ['quiz', 'question'],
+        ['CSS', 'Q?']
+    ]);
+});
@@ -0,0 +1,117 @@
+/**
+ * Mock Learning Record Store for trying out xapi.js locally.
+ * Keeps statements in memory and serves just enough of the xAPI statements resource:
+ * POST /xapi/statements stores a statement or an array of them and returns their IDs,
+ * GET /xapi/statements lists everything stored so far.
+ *
+ * Usage: node tools/mock-lrs.mjs
+ * Environment:
+ * - PORT: port to listen on (default 8090)
+ * - MOCK_LRS_OFFLINE=1: answer every request with 503, to watch the app queue and retry statements
+ */
+
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+/** @type {number} Port the server listens on */
+const PORT = Number(process.env.PORT) || 8090;
+
+/** @type {boolean} Whether to reject every request as unavailable */
+const OFFLINE = process.env.MOCK_LRS_OFFLINE === '1';
+
+/** @type {string} Path of the statements resource */
+const STATEMENTS_PATH = '/xapi/statements';
+
+/** @type {Object<string, string>} CORS headers, so the app can post from another origin */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Experience-API-Version'
+};
+
+/** @type {Array<Object>} Statements received, in order */
+const statements = [];
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {*} body - Value to send as JSON
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a request body as JSON.
+ * @param {http.IncomingMessage} req - The request
+ * @returns {Promise<*>} The parsed body
+ */
+async function readJson(req) {
+    let body = '';
+    for await (const chunk of req) {
+        body += chunk;
+    }
+    return JSON.parse(body);
+}
+
+/**
+ * Stores posted statements, giving an ID to any statement without one.
+ * @param {http.IncomingMessage} req - The request
+ * @param {http.ServerResponse} res - The response
+ */
+async function handlePost(req, res) {
+    let posted;
+    try {
+        posted = await readJson(req);
+    } catch (error) {
+        sendJson(res, 400, { error: 'Body is not valid JSON' });
+        return;
+    }
+
+    const batch = (Array.isArray(posted) ? posted : [posted]).map(statement => ({
+        id: randomUUID(),
+        ...statement,
+        stored: new Date().toISOString()
+    }));
+
+    statements.push(...batch);
+    batch.forEach(statement => {
+        const name = statement.object?.definition?.name;
+        console.log(`${statement.verb?.display?.['en-US'] || statement.verb?.id} ${name ? Object.values(name)[0] : statement.object?.id}`);
+    });
+    sendJson(res, 200, batch.map(statement => statement.id));
+}
+
+const server = createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    if (OFFLINE) {
+        sendJson(res, 503, { error: 'Mock LRS is offline' });
+        return;
+    }
+
+    if (pathname !== STATEMENTS_PATH) {
+        sendJson(res, 404, { error: `Not found: ${pathname}` });
+        return;
+    }
+
+    if (req.method === 'POST') {
+        handlePost(req, res);
+    } else if (req.method === 'GET') {
+        sendJson(res, 200, { statements });
+    } else {
+        sendJson(res, 405, { error: `Method not allowed: ${req.method}` });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock LRS listening on http://localhost:${PORT}/xapi/${OFFLINE ? ' (offline: every request gets 503)' : ''}`);
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for xapi.js, run without a browser: the globals the reporter and the app module touch are
+ * replaced by small stand-ins, and fetch records the statements instead of sending them.
+ *
+ * Usage: node --test tools/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+/** @type {Map<string, string>} Contents of the stand-in localStorage */
+const storage = new Map();
+
+/** @type {Array<Object>} Statements posted to the LRS, in order */
+const sent = [];
+
+globalThis.localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key)
+};
+globalThis.window = {
+    location: new URL('https://quiz.example.com/'),
+    addEventListener() {},
+    removeEventListener() {}
+};
+// script.js adds its screen reader styles to the page when it loads
+globalThis.document = {
+    createElement: () => ({}),
+    head: { appendChild() {} }
+};
+globalThis.fetch = async (url, request) => {
+    sent.push(...JSON.parse(request.body));
+    return { ok: true, status: 200 };
+};
+
+const { XapiReporter } = await import('../xapi.js');
+
+/**
+ * Creates a stand-in for QuizApp with just what the reporter reads.
+ * @returns {EventTarget} The app
+ */
+function createApp() {
+    const app = new EventTarget();
+    app.locale = 'en';
+    app.getSlug = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return app;
+}
+
+/**
+ * Dispatches a quiz event on the app.
+ * @param {EventTarget} app - The app
+ * @param {string} type - The event type
+ * @param {Object} detail - The event detail
+ */
+function emit(app, type, detail) {
+    app.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+/**
+ * Waits until the reporter has sent everything it queued.
+ * @param {XapiReporter} reporter - The reporter
+ */
+async function settle(reporter) {
+    while (reporter.sending || reporter.queue.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+/**
+ * Plays a one-question attempt through the app's events.
+ * @param {EventTarget} app - The app
+ * @param {string} mode - The attempt's mode
+ */
+function playAttempt(app, mode) {
+    emit(app, 'quizstart', { subject: 'HTML', mode, total: 1, resumed: false, players: [] });
+    emit(app, 'answer', {
+        subject: 'HTML',
+        mode,
+        type: 'single',
+        question: 'What does HTML stand for?',
+        options: ['Hyper Text Markup Language', 'High Tech Modern Language'],
+        answer: 'Hyper Text Markup Language',
+        selected: 'Hyper Text Markup Language',
+        correct: true,
+        timeTaken: 1200
+    });
+    emit(app, 'quizcomplete', { subject: 'HTML', mode, score: 1, total: 1, timeTaken: 1200 });
+}
+
+beforeEach(() => {
+    storage.clear();
+    sent.length = 0;
+});
+
+test('the statements of one attempt share a registration', async () => {
+    const app = createApp();
+    const reporter = new XapiReporter(app, { endpoint: 'https://lrs.example.com/xapi/' });
+
+    playAttempt(app, 'practice');
+    await settle(reporter);
+    reporter.destroy();
+
+    assert.deepEqual(sent.map(statement => statement.verb.display['en-US']), ['attempted', 'answered', 'completed']);
+    const registration = sent[0].context.registration;
+    assert.match(registration, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    sent.forEach(statement => assert.equal(statement.context.registration, registration));
+    assert.equal(reporter.registration, null);
+});
+
+test('every attempt gets its own registration', async () => {
+    const app = createApp();
+    const reporter = new XapiReporter(app, { endpoint: 'https://lrs.example.com/xapi/' });
+
+    playAttempt(app, 'practice');
+    playAttempt(app, 'practice');
+    await settle(reporter);
+    reporter.destroy();
+
+    assert.equal(sent.length, 6);
+    assert.notEqual(sent[0].context.registration, sent[3].context.registration);
+});
+
+test('quizzes and questions with IDs keep their activity IDs in every language', async () => {
+    const app = createApp();
+    const reporter = new XapiReporter(app, { endpoint: 'https://lrs.example.com/xapi/' });
+    const answer = (subject, question) => emit(app, 'answer', {
+        subject,
+        quizId: 'accessibility',
+        questionId: 'accessibility-1',
+        mode: 'standard',
+        type: 'boolean',
+        question,
+        options: ['True', 'False'],
+        answer: 'True',
+        selected: 'True',
+        correct: true,
+        timeTaken: 800
+    });
+
+    answer('Accessibility', 'Is alt text read by screen readers?');
+    app.locale = 'de';
+    answer('Barrierefreiheit', 'Lesen Screenreader Alternativtexte vor?');
+    await settle(reporter);
+    reporter.destroy();
+
+    assert.equal(sent[0].object.id, 'https://quiz.example.com/quiz/accessibility/questions/accessibility-1');
+    assert.equal(sent[1].object.id, sent[0].object.id);
+    assert.deepEqual(sent[1].context.contextActivities.parent, [{ id: 'https://quiz.example.com/quiz/accessibility' }]);
+    assert.deepEqual(sent[1].object.definition.name, { de: 'Lesen Screenreader Alternativtexte vor?' });
+});
+
+test('editor previews and questions opened from a link are not reported', async () => {
+    const app = createApp();
+    const reporter = new XapiReporter(app, { endpoint: 'https://lrs.example.com/xapi/' });
+
+    playAttempt(app, 'preview');
+    playAttempt(app, 'linked');
+    await settle(reporter);
+    reporter.destroy();
+
+    assert.deepEqual(sent, []);
+});
+
+test('live sessions are not reported and leave no registration behind', async () => {
+    const app = createApp();
+    const reporter = new XapiReporter(app, { endpoint: 'https://lrs.example.com/xapi/' });
+
+    playAttempt(app, 'live');
+    // A live session ends with the standings of its participants instead of a score
+    emit(app, 'quizcomplete', { subject: 'HTML', mode: 'live', score: 0, total: 1, timeTaken: 0, players: [{ name: 'Ann', score: 1 }] });
+    await settle(reporter);
+    reporter.destroy();
+
+    assert.deepEqual(sent, []);
+    assert.equal(reporter.registration, null);
+    assert.equal(localStorage.getItem('quiz-xapi-registration'), null);
+});
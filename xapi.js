@@ -0,0 +1,421 @@
+/**
+ * xAPI reporting for QuizApp.
+ * Listens to a QuizApp's quiz events and sends "attempted", "answered" and "completed" statements
+ * to a Learning Record Store (LRS). Statements wait in a queue in localStorage until the LRS accepts
+ * them, so results recorded offline or during an outage are sent later.
+ */
+
+import { hashSeed } from './script.js';
+import { toPlainText } from './markup.js';
+
+/**
+ * @typedef {Object} XapiReporterOptions
+ * @property {string} endpoint - Base URL of the LRS's xAPI endpoint, e.g. "https://lrs.example.com/xapi/"
+ * @property {string} [auth] - Authorization header sent with every request, e.g. "Basic dXNlcjpwYXNz"
+ * @property {Object} [actor] - The learner as an xAPI Agent; defaults to an anonymous account kept in localStorage
+ * @property {string} [activityBase] - IRI that quiz activity IDs start with; defaults to "quiz/" next to the app
+ */
+
+/** @type {string} xAPI version sent in the X-Experience-API-Version header */
+const XAPI_VERSION = '1.0.3';
+
+/** @type {string} localStorage key for statements the LRS has not accepted yet */
+const QUEUE_STORAGE_KEY = 'quiz-xapi-queue';
+
+/** @type {string} localStorage key for the registration of the attempt in progress */
+const REGISTRATION_STORAGE_KEY = 'quiz-xapi-registration';
+
+/** @type {string} localStorage key for the anonymous learner ID used when no actor is configured */
+const LEARNER_STORAGE_KEY = 'quiz-xapi-learner';
+
+/** @type {number} Maximum number of queued statements; the oldest are dropped beyond it */
+const MAX_QUEUE_SIZE = 500;
+
+/** @type {number} Delay (ms) before the first retry of a failed send; it doubles with every failure */
+const RETRY_DELAY = 5000;
+
+/** @type {number} Longest delay (ms) between retries */
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+/** @type {Array<number>} 4xx statuses that are worth retrying; other 4xx responses reject the statements for good */
+const RETRYABLE_STATUSES = [401, 403, 408, 429];
+
+/** @type {Object<string, string>} IRIs of the verbs that are reported */
+const VERBS = {
+    attempted: 'http://adlnet.gov/expapi/verbs/attempted',
+    answered: 'http://adlnet.gov/expapi/verbs/answered',
+    completed: 'http://adlnet.gov/expapi/verbs/completed'
+};
+
+/** @type {Object<string, string>} xAPI interaction type of each question type */
+const INTERACTION_TYPES = { single: 'choice', multiple: 'choice', boolean: 'true-false', text: 'fill-in' };
+
+/** @type {string} Separator between the items of an xAPI response or response pattern */
+const RESPONSE_SEPARATOR = '[,]';
+
+/**
+ * Creates a random UUID, also in browsers that only offer crypto.getRandomValues.
+ * @returns {string} A version 4 UUID
+ */
+function createUuid() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Formats milliseconds as an ISO 8601 duration, as xAPI expects.
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string} The duration, e.g. "PT12.5S"
+ */
+function toIsoDuration(ms) {
+    return `PT${Math.round(ms / 100) / 10}S`;
+}
+
+/**
+ * Sends a QuizApp's results to an LRS as xAPI statements.
+ * Editor previews and questions opened from a link are not reported, and neither are pass-and-play
+ * games, whose answers come from several people sharing one device, or live sessions, which end with
+ * standings rather than a score.
+ */
+export class XapiReporter {
+    /**
+     * Starts listening to the app's quiz events and sends any statements left from earlier visits.
+     * @constructor
+     * @param {QuizApp} app - The app to report on
+     * @param {XapiReporterOptions} options - Where to send the statements and who the learner is
+     * @throws {Error} If no endpoint is given
+     */
+    constructor(app, options) {
+        if (!options || !options.endpoint) {
+            throw new Error('XapiReporter needs the endpoint of an LRS');
+        }
+
+        /** @type {QuizApp} The app whose events are reported */
+        this.app = app;
+
+        /** @type {string} URL of the LRS's statements resource */
+        this.statementsUrl = new URL('statements', options.endpoint.replace(/\/?$/, '/')).href;
+
+        /** @type {string|null} Authorization header value */
+        this.auth = options.auth || null;
+
+        /** @type {Object} The learner as an xAPI Agent */
+        this.actor = options.actor || this.getAnonymousActor();
+
+        /** @type {string} IRI that quiz activity IDs start with */
+        this.activityBase = options.activityBase || new URL('quiz/', window.location.href).href;
+
+        /** @type {Array<Object>} Statements the LRS has not accepted yet, oldest first */
+        this.queue = this.loadQueue();
+
+        /** @type {string|null} Registration (UUID) that groups the statements of the attempt in progress */
+        this.registration = localStorage.getItem(REGISTRATION_STORAGE_KEY);
+
+        /** @type {boolean} Whether a send is in progress */
+        this.sending = false;
+
+        /** @type {number|null} Timeout ID of the scheduled retry */
+        this.retryTimeout = null;
+
+        /** @type {number} Delay (ms) before the next retry */
+        this.retryDelay = RETRY_DELAY;
+
+        /** @type {Object<string, function(Event)>} Listeners added to the app and window, removed by destroy() */
+        this.handlers = {
+            quizstart: (e) => this.handleQuizStart(e.detail),
+            answer: (e) => this.handleAnswer(e.detail),
+            quizcomplete: (e) => this.handleQuizComplete(e.detail),
+            online: () => this.flush()
+        };
+
+        app.addEventListener('quizstart', this.handlers.quizstart);
+        app.addEventListener('answer', this.handlers.answer);
+        app.addEventListener('quizcomplete', this.handlers.quizcomplete);
+        window.addEventListener('online', this.handlers.online);
+
+        this.flush();
+    }
+
+    /**
+     * Stops reporting. Queued statements stay in localStorage for the next reporter.
+     */
+    destroy() {
+        this.app.removeEventListener('quizstart', this.handlers.quizstart);
+        this.app.removeEventListener('answer', this.handlers.answer);
+        this.app.removeEventListener('quizcomplete', this.handlers.quizcomplete);
+        window.removeEventListener('online', this.handlers.online);
+        clearTimeout(this.retryTimeout);
+        this.retryTimeout = null;
+    }
+
+    /**
+     * Gets the anonymous learner used when no actor is configured. The ID is kept in localStorage,
+     * so every visit from this browser counts as the same learner.
+     * @returns {Object} An xAPI Agent identified by an account on this site
+     */
+    getAnonymousActor() {
+        let name = localStorage.getItem(LEARNER_STORAGE_KEY);
+        if (!name) {
+            name = createUuid();
+            localStorage.setItem(LEARNER_STORAGE_KEY, name);
+        }
+        return { objectType: 'Agent', account: { homePage: window.location.origin, name } };
+    }
+
+    /**
+     * Checks whether a quiz event belongs to an attempt that is reported: not an editor preview, a
+     * question opened from a link, a pass-and-play game or a live session.
+     * @param {Object} detail - The event detail
+     * @returns {boolean} Whether statements are sent for the event
+     */
+    isReported(detail) {
+        return !['preview', 'linked', 'live'].includes(detail.mode) && !detail.player && !(detail.players && detail.players.length > 0);
+    }
+
+    /**
+     * Sends "attempted" when an attempt starts. Resumed attempts keep their registration.
+     * @param {{subject: string, quizId: (string|null), mode: string, total: number, resumed: boolean, players: Array<string>}} detail - The
+     *     quizstart event detail
+     */
+    handleQuizStart(detail) {
+        if (!this.isReported(detail)) return;
+        if (detail.resumed && this.registration) return;
+
+        this.registration = createUuid();
+        localStorage.setItem(REGISTRATION_STORAGE_KEY, this.registration);
+        this.enqueue({
+            verb: this.getVerb('attempted'),
+            object: this.getQuizActivity(detail),
+            context: { registration: this.registration }
+        });
+    }
+
+    /**
+     * Sends "answered" with the chosen option(s) and whether they were correct.
+     * @param {Object} detail - The answer event detail
+     */
+    handleAnswer(detail) {
+        if (!this.isReported(detail)) return;
+
+        this.enqueue({
+            verb: this.getVerb('answered'),
+            object: this.getQuestionActivity(detail),
+            result: {
+                success: detail.correct,
+                response: detail.selected === null ? '' : this.toResponse(detail, detail.selected),
+                duration: toIsoDuration(detail.timeTaken)
+            },
+            context: {
+                registration: this.registration || undefined,
+                contextActivities: { parent: [{ id: this.getQuizActivity(detail).id }] }
+            }
+        });
+    }
+
+    /**
+     * Sends "completed" with the score and ends the attempt's registration.
+     * @param {{subject: string, quizId: (string|null), mode: string, score: number, total: number, timeTaken: number}} detail - The
+     *     quizcomplete event detail
+     */
+    handleQuizComplete(detail) {
+        if (!this.isReported(detail)) return;
+
+        // The registration is cleared below, so the statement takes it first
+        const registration = this.registration || undefined;
+        this.enqueue({
+            verb: this.getVerb('completed'),
+            object: this.getQuizActivity(detail),
+            result: {
+                score: {
+                    raw: detail.score,
+                    min: 0,
+                    max: detail.total,
+                    scaled: detail.total > 0 ? detail.score / detail.total : 0
+                },
+                completion: true,
+                duration: toIsoDuration(detail.timeTaken)
+            },
+            context: { registration }
+        });
+
+        this.registration = null;
+        localStorage.removeItem(REGISTRATION_STORAGE_KEY);
+    }
+
+    /**
+     * Builds an xAPI verb.
+     * @param {string} name - A key of VERBS
+     * @returns {Object} The verb
+     */
+    getVerb(name) {
+        return { id: VERBS[name], display: { 'en-US': name } };
+    }
+
+    /**
+     * Builds the activity of a quiz, identified by the URL slug of its ID, or of its title if it has
+     * none, so it is the same in every language.
+     * @param {{subject: string, quizId: (string|null)}} detail - The detail of a quiz event
+     * @returns {Object} The activity
+     */
+    getQuizActivity(detail) {
+        return {
+            objectType: 'Activity',
+            id: `${this.activityBase}${this.app.getSlug(detail.quizId || detail.subject)}`,
+            definition: {
+                type: 'http://adlnet.gov/expapi/activities/assessment',
+                name: { [this.app.locale]: detail.subject }
+            }
+        };
+    }
+
+    /**
+     * Builds the activity of a question. Its ID comes from the question's ID, or a hash of its text if
+     * it has none, so it stays the same whatever order the questions are played in.
+     * @param {Object} detail - The answer event detail
+     * @returns {Object} The activity, as a cmi.interaction with its choices and correct response
+     */
+    getQuestionActivity(detail) {
+        const quizId = this.getQuizActivity(detail).id;
+        const interactionType = INTERACTION_TYPES[detail.type] || 'choice';
+        const definition = {
+            type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+            name: { [this.app.locale]: toPlainText(detail.question) },
+            interactionType,
+            correctResponsesPattern: [this.toResponse(detail, detail.answer)]
+        };
+
+        if (interactionType === 'choice') {
+            definition.choices = detail.options.map((option, index) => ({
+                id: `choice-${index}`,
+                description: { [this.app.locale]: toPlainText(option) }
+            }));
+        }
+
+        return {
+            objectType: 'Activity',
+            id: `${quizId}/questions/${detail.questionId ? encodeURIComponent(detail.questionId) : hashSeed(detail.question).toString(16)}`,
+            definition
+        };
+    }
+
+    /**
+     * Converts one or more options (or typed text) to an xAPI response string for the question.
+     * @param {Object} detail - The answer event detail
+     * @param {string|Array<string>} value - The options or text to convert
+     * @returns {string} Choice IDs joined by "[,]", "true"/"false", or the text itself
+     */
+    toResponse(detail, value) {
+        if (detail.type === 'text') return String(value);
+
+        const indexes = (Array.isArray(value) ? value : [value]).map(option => detail.options.indexOf(option));
+        if (detail.type === 'boolean') return indexes[0] === 0 ? 'true' : 'false';
+        return indexes.map(index => `choice-${index}`).join(RESPONSE_SEPARATOR);
+    }
+
+    /**
+     * Completes a statement with its ID, actor and timestamp, queues it and tries to send the queue.
+     * @param {Object} statement - The statement's verb, object, result and context
+     */
+    enqueue(statement) {
+        this.queue.push({
+            id: createUuid(),
+            actor: this.actor,
+            ...statement,
+            timestamp: new Date().toISOString()
+        });
+        this.queue = this.queue.slice(-MAX_QUEUE_SIZE);
+        this.saveQueue();
+        this.flush();
+    }
+
+    /**
+     * Sends every queued statement to the LRS in one request.
+     * Accepted statements leave the queue. Network errors, 5xx and RETRYABLE_STATUSES responses keep
+     * them queued and schedule a retry; other rejections drop them so they do not block the queue.
+     * @async
+     */
+    async flush() {
+        if (this.sending || this.queue.length === 0) return;
+
+        clearTimeout(this.retryTimeout);
+        this.retryTimeout = null;
+        this.sending = true;
+        const batch = [...this.queue];
+
+        try {
+            const response = await fetch(this.statementsUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Experience-API-Version': XAPI_VERSION,
+                    ...(this.auth && { Authorization: this.auth })
+                },
+                body: JSON.stringify(batch)
+            });
+
+            if (!response.ok && (response.status >= 500 || RETRYABLE_STATUSES.includes(response.status))) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            if (!response.ok) {
+                console.error(`LRS rejected ${batch.length} statements with status ${response.status}; dropping them`);
+            }
+
+            this.queue = this.queue.filter(statement => !batch.includes(statement));
+            this.saveQueue();
+            this.retryDelay = RETRY_DELAY;
+        } catch (error) {
+            console.error('Error sending xAPI statements:', error);
+            this.scheduleRetry();
+        } finally {
+            this.sending = false;
+        }
+
+        // Statements queued while the request was in flight go out straight away
+        if (this.queue.length > 0 && !this.retryTimeout) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Schedules another send after the current retry delay, and doubles the delay for next time.
+     */
+    scheduleRetry() {
+        if (this.retryTimeout) return;
+
+        this.retryTimeout = setTimeout(() => {
+            this.retryTimeout = null;
+            this.flush();
+        }, this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, MAX_RETRY_DELAY);
+    }
+
+    /**
+     * Loads the queued statements from localStorage.
+     * @returns {Array<Object>} The queued statements, or an empty queue if nothing is saved or it is corrupt
+     */
+    loadQueue() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading xAPI queue:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Saves the queued statements to localStorage.
+     */
+    saveQueue() {
+        try {
+            localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(this.queue));
+        } catch (error) {
+            console.error('Error saving xAPI queue:', error);
+        }
+    }
+}